@@ -10,106 +10,309 @@ const API_URL = window.location.hostname === 'localhost' || window.location.host
     ? 'http://localhost:3000'
     : 'https://belief-mirror-production.up.railway.app';
 
+// In-flight insights generation, so it can be cancelled
+let insightsController = null;
+
+/**
+ * POST to a streaming endpoint and read its Server-Sent Events
+ * @param {string} path - Endpoint path, e.g. '/api/chat/stream'
+ * @param {Object} payload - JSON request body
+ * @param {Object} options - { signal, onText(fullText) called as tokens arrive,
+ *   onQuota(quota) called with the server's rate limit headers,
+ *   onEvent(name, data) called for other events, e.g. 'result' }
+ * @returns {Promise<string>} - The complete text
+ */
+async function streamAI(path, payload, { signal, onText, onQuota = null, onEvent = null }) {
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal
+    });
+    
+    const quota = readRateLimit(response);
+    if (quota && onQuota) onQuota(quota);
+    
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const err = new Error(error.error || 'Server error');
+        err.retryAfter = Number(response.headers.get('Retry-After')) || error.retryAfter || null;
+        throw err;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            const event = (frame.match(/^event: (.*)$/m) || [])[1];
+            const data = JSON.parse((frame.match(/^data: (.*)$/m) || [])[1] || '{}');
+            
+            if (event === 'delta') {
+                text += data.text;
+                onText(text);
+            } else if (event === 'error') {
+                throw new Error(data.error || 'AI stream interrupted');
+            } else if (event === 'done') {
+                return text;
+            } else if (onEvent) {
+                onEvent(event, data);
+            }
+        }
+    }
+    
+    throw new Error('AI stream ended unexpectedly');
+}
+
+/**
+ * Rate limit headers from a response, or null if the server sent none
+ * @returns {Object|null} - { limit, remaining, reset (seconds until the window resets) }
+ */
+function readRateLimit(response) {
+    const limit = response.headers.get('X-RateLimit-Limit');
+    if (limit === null) return null;
+    
+    return {
+        limit: Number(limit),
+        remaining: Number(response.headers.get('X-RateLimit-Remaining')),
+        reset: Number(response.headers.get('X-RateLimit-Reset'))
+    };
+}
+
+/**
+ * Show how many requests are left, e.g. "3/5 left · resets in 42m"
+ */
+function renderQuota(elementId, quota) {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+    
+    el.textContent = `${quota.remaining}/${quota.limit} left · resets in ${formatWait(quota.reset)}`;
+    el.classList.toggle('negative', quota.remaining === 0);
+}
+
+/**
+ * Seconds as a short wait, e.g. "45s", "12m" or "1h 5m"
+ */
+function formatWait(seconds) {
+    if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * The stats fields the server's prompts read
+ *
+ * appState.stats also carries the full cost basis ledger and per-day series,
+ * which would push a large wallet's request past the server's body limit.
+ */
+function summarizeStatsForAI(stats) {
+    return {
+        dataComplete: stats.dataComplete,
+        totalTrades: stats.totalTrades,
+        totalVolume: stats.totalVolume,
+        winRate: stats.winRate,
+        totalResolved: stats.totalResolved,
+        wins: stats.wins,
+        losses: stats.losses,
+        totalRealizedPnL: stats.totalRealizedPnL,
+        totalRewards: stats.totalRewards,
+        totalRedeemed: stats.totalRedeemed,
+        redemptionCount: stats.redemptionCount,
+        avgWinAmount: stats.avgWinAmount,
+        avgLossAmount: stats.avgLossAmount,
+        profitFactor: stats.profitFactor,
+        winLossByCategory: stats.winLossByCategory,
+        winLossByPriceRange: stats.winLossByPriceRange,
+        eventExposure: (stats.eventExposure || []).slice(0, 5),
+        calibration: stats.calibration
+    };
+}
+
 /**
  * Generate AI insights based on trading stats
+ *
+ * The model's JSON streams in as progress; the server's validated `result`
+ * event is what gets saved and rendered.
  */
 async function getAIInsights() {
     if (!appState.stats) {
         alert('Please analyze a wallet first');
         return;
     }
+    if (insightsController) return;
     
-    // Show loading
-    document.getElementById('ai-loading').classList.remove('hidden');
-    document.getElementById('ai-insights-container').classList.add('hidden');
+    insightsController = new AbortController();
+    setInsightsStreaming(true);
     document.getElementById('share-section').classList.add('hidden');
-    document.getElementById('ai-insights-btn').disabled = true;
+    document.getElementById('ai-insights').innerHTML = '<p class="no-data">Generating insights...</p>';
     
+    let insights = null;
     try {
-        const stats = appState.stats;
+        const biases = summarizeBiases(detectBiases(appState.stats, appState.data));
+        const stats = summarizeStatsForAI(appState.stats);
         
         // Call our backend server (not Anthropic directly)
-        const response = await fetch(`${API_URL}/api/insights`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ stats })
+        await streamAI('/api/insights/stream', { stats, biases, wallet: appState.walletAddress }, {
+            signal: insightsController.signal,
+            onQuota: quota => renderQuota('ai-quota', quota),
+            onText: displayInsightsProgress,
+            onEvent: (event, data) => {
+                if (event === 'result') insights = data;
+            }
         });
         
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Server error');
-        }
-        
-        const data = await response.json();
-        const insights = data.insights;
+        if (!insights) throw new Error('No insights returned');
         
-        // Display insights
-        displayInsights(insights);
+        saveInsights(appState.walletAddress, insights);
+        showSavedInsights(0);
         
         // Show share section
         showShareSection();
         
     } catch (error) {
-        console.error('AI Insights error:', error);
-        displayError(error.message);
+        if (error.name === 'AbortError') {
+            document.getElementById('ai-insights').innerHTML = '<p class="no-data">Generation stopped</p>';
+        } else {
+            console.error('AI Insights error:', error);
+            displayError(error.message, error.retryAfter);
+        }
     } finally {
-        document.getElementById('ai-loading').classList.add('hidden');
-        document.getElementById('ai-insights-btn').disabled = false;
+        insightsController = null;
+        setInsightsStreaming(false);
     }
 }
 
 /**
- * Display the AI insights
+ * Cancel the insights being generated
  */
-function displayInsights(insights) {
-    const container = document.getElementById('ai-insights-container');
-    
-    // Convert markdown-style formatting to HTML
-    let formatted = insights
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\n\n/g, '</p><p>')
-        .replace(/\n- /g, '</p><li>')
-        .replace(/\n\d\. /g, '</p><li>');
+function stopAIInsights() {
+    if (insightsController) insightsController.abort();
+}
+
+function setInsightsStreaming(streaming) {
+    document.getElementById('ai-btn').disabled = streaming;
+    document.getElementById('ai-stop-btn').classList.toggle('hidden', !streaming);
+}
+
+/**
+ * Bias detector results trimmed for the prompt: a few evidence trades each
+ */
+function summarizeBiases(biases) {
+    return biases.map(b => ({
+        name: b.name,
+        score: b.score,
+        detected: b.detected,
+        explanation: b.explanation,
+        evidence: (b.evidence && b.evidence.trades ? b.evidence.trades : []).slice(0, 3).map(t => ({
+            title: t.title,
+            side: t.side,
+            price: t.price,
+            usdcSize: t.usdcSize,
+            date: getDateKey(t.timestamp)
+        }))
+    }));
+}
+
+/**
+ * Show which sections the model has reached while its JSON streams in
+ */
+function displayInsightsProgress(text) {
+    const reached = INSIGHT_SECTIONS.filter(section => text.includes(`"${section.key}"`));
     
-    // Wrap in paragraphs
-    formatted = '<p>' + formatted + '</p>';
+    document.getElementById('ai-insights').innerHTML = `
+        <p class="no-data streaming">Writing analysis${reached.length > 0 ? ': ' + reached.map(s => s.label).join(' · ') : ''}</p>
+    `;
+}
+
+/**
+ * Display a saved insights run as cards, marking changes since the run before
+ * @param {Object} run - { generatedAt, insights }
+ * @param {Object} previousRun - Earlier run to compare with, or null
+ * @param {Array} history - All saved runs for the wallet, newest first
+ */
+function displayInsights(run, previousRun = null, history = [run]) {
+    const container = document.getElementById('ai-insights');
+    const { insights } = run;
+    const diff = diffInsights(insights, previousRun ? previousRun.insights : null);
+    const runDate = r => formatZonedDate(r.generatedAt / 1000, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const selected = history.indexOf(run);
     
-    // Fix list formatting
-    formatted = formatted.replace(/<\/p><li>/g, '<li>');
-    formatted = formatted.replace(/<li>([^<]+)(?=<li>|<p>|$)/g, '<li>$1</li>');
+    const renderItem = ({ item, isNew, previousMetrics }) => `
+        <div class="insight-card${isNew ? ' new' : ''}">
+            <div class="insight-title">${escapeHtml(item.title)}${isNew ? ' <span class="insight-badge">New</span>' : ''}</div>
+            <div class="insight-detail">${renderInlineMarkdown(item.detail)}</div>
+            <div class="insight-metrics">
+                ${item.metrics.map(m => `
+                    <span class="insight-metric">
+                        ${escapeHtml(m.name)}: <strong>${escapeHtml(m.value)}</strong>
+                        ${previousMetrics[m.name] !== undefined ? `<span class="insight-was">was ${escapeHtml(previousMetrics[m.name])}</span>` : ''}
+                    </span>
+                `).join('')}
+            </div>
+            ${item.evidence.length > 0 ? `
+                <ul class="insight-evidence">
+                    ${item.evidence.map(e => `<li>${renderInlineMarkdown(e)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
     
     container.innerHTML = `
-        <h3>🧠 Claude's Analysis</h3>
-        <div class="ai-insight-content">
-            ${formatted}
+        <div class="insights-toolbar">
+            <h3>🧠 Claude's Analysis</h3>
+            <select id="insights-history-select" class="inline-select" onchange="showSavedInsights(this.value)">
+                ${history.map((r, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${runDate(r)}${i === 0 ? ' (latest)' : ''}</option>`).join('')}
+            </select>
+            <button class="link-btn" onclick="exportShownInsights()">Export JSON</button>
         </div>
+        <p class="insight-summary">${renderInlineMarkdown(insights.summary)}</p>
+        ${previousRun ? `<p class="chart-note">Compared with ${runDate(previousRun)}</p>` : ''}
+        ${INSIGHT_SECTIONS.map(section => `
+            <div class="insight-section">
+                <h4>${section.icon} ${section.label}</h4>
+                ${diff[section.key].items.map(renderItem).join('')}
+                ${diff[section.key].dropped.length > 0 ? `
+                    <div class="insight-dropped">No longer flagged: ${diff[section.key].dropped.map(item => escapeHtml(item.title)).join(', ')}</div>
+                ` : ''}
+            </div>
+        `).join('')}
     `;
-    
-    container.classList.remove('hidden');
 }
 
 /**
  * Display an error message
+ * @param {number} retryAfter - Seconds until a rate limited request may be retried
  */
-function displayError(message) {
-    const container = document.getElementById('ai-insights-container');
+function displayError(message, retryAfter = null) {
+    const container = document.getElementById('ai-insights');
     
     let helpText = 'Please try again later.';
     if (message.includes('Too many requests')) {
-        helpText = 'You\'ve reached the rate limit. Please wait about an hour before trying again.';
+        helpText = retryAfter
+            ? `You've reached the rate limit. Please wait ${formatWait(retryAfter)} before trying again.`
+            : 'You\'ve reached the rate limit. Please wait about an hour before trying again.';
     }
     
     container.innerHTML = `
         <div class="ai-error">
-            <strong>Error:</strong> ${message}
+            <strong>Error:</strong> ${escapeHtml(message)}
             <p style="margin-top: 10px; font-size: 0.9rem;">
                 ${helpText}
             </p>
         </div>
     `;
-    
-    container.classList.remove('hidden');
 }
 
@@ -11,25 +11,163 @@ const API_BASE = 'https://data-api.polymarket.com';
 let currentOffset = 0;
 const LIMIT = 100;
 
+// Retry policy for the data client
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// The API rejects offsets past 10,000, so pagination re-anchors on time
+// (activity) or switches to per-market queries (closed positions) first
+const MAX_API_OFFSET = 10000;
+const ACTIVITY_PAGE_SIZE = 500;
+const ACTIVITY_WINDOW_OFFSET = 5000;
+const POSITIONS_PAGE_SIZE = 500;
+const CLOSED_PAGE_SIZE = 50; // API max is 50 for this endpoint
+const CLOSED_MARKETS_PER_QUERY = 20;
+
+// Activity types returned by /activity, and the sign of their USDC flow
+const ACTIVITY_TYPES = {
+    TRADE: { label: 'Trade', cashFlow: 0 },
+    SPLIT: { label: 'Split', cashFlow: -1 },
+    MERGE: { label: 'Merge', cashFlow: 1 },
+    REDEEM: { label: 'Redeem', cashFlow: 1 },
+    REWARD: { label: 'Reward', cashFlow: 1 },
+    CONVERSION: { label: 'Conversion', cashFlow: 0 }
+};
+
+/**
+ * Error from the data API, carrying the HTTP status when there was one
+ */
+class ApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Fetch with a per-attempt timeout, retrying network errors, timeouts,
+ * 429s and 5xx responses with exponential backoff. 429s wait for
+ * Retry-After when the server sends it.
+ * @param {string} url - Request URL
+ * @returns {Promise<Response>} - An OK response
+ */
+async function fetchWithRetry(url) {
+    let lastError;
+    
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+        let retryAfterMs = null;
+        
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            
+            if (response.ok) return response;
+            
+            lastError = new ApiError(`API error: ${response.status} ${response.statusText}`, response.status);
+            
+            // Client errors other than 429 won't get better by retrying
+            if (response.status !== 429 && response.status < 500) throw lastError;
+            
+            if (response.status === 429) {
+                retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+            }
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            lastError = error.name === 'AbortError'
+                ? new ApiError(`Request timed out after ${FETCH_TIMEOUT_MS / 1000}s`)
+                : error;
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        if (attempt < MAX_RETRIES) {
+            const backoff = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS) * (0.5 + Math.random() / 2);
+            await sleep(retryAfterMs !== null ? Math.min(retryAfterMs, BACKOFF_MAX_MS * 2) : backoff);
+        }
+    }
+    
+    throw lastError;
+}
+
 /**
- * Fetch user activity (trades) from Polymarket
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Track how many pages each source fetched and whether any gave up
+ */
+function createFetchReport() {
+    return { sources: {} };
+}
+
+function recordFetch(report, source, ok, error = null) {
+    if (!report) return;
+    
+    if (!report.sources[source]) {
+        report.sources[source] = { pagesFetched: 0, pagesFailed: 0, complete: true, errors: [] };
+    }
+    
+    const entry = report.sources[source];
+    if (ok) {
+        entry.pagesFetched++;
+    } else {
+        entry.pagesFailed++;
+        entry.complete = false;
+        entry.errors.push(error ? error.message : 'Unknown error');
+    }
+}
+
+/**
+ * Summarize a fetch report
+ * @returns {Object} - { complete, pagesFetched, pagesFailed, incomplete: [source names], sources }
+ */
+function summarizeFetchReport(report) {
+    const sources = Object.entries(report.sources);
+    
+    return {
+        complete: sources.every(([_, s]) => s.complete),
+        pagesFetched: sources.reduce((sum, [_, s]) => sum + s.pagesFetched, 0),
+        pagesFailed: sources.reduce((sum, [_, s]) => sum + s.pagesFailed, 0),
+        incomplete: sources.filter(([_, s]) => !s.complete).map(([name]) => name),
+        sources: report.sources
+    };
+}
+
+/**
+ * Fetch user activity (all types) from Polymarket, newest first
  * @param {string} walletAddress - The proxy wallet address
  * @param {number} limit - Number of records to fetch
  * @param {number} offset - Pagination offset
- * @returns {Promise<Array>} - Array of activity records
+ * @param {number} start - Only records at or after this unix timestamp
+ * @param {number} end - Only records at or before this unix timestamp
+ * @returns {Promise<Array>} - Array of normalized activity records
  */
-async function fetchActivity(walletAddress, limit = LIMIT, offset = 0) {
-    const url = `${API_BASE}/activity?user=${walletAddress}&limit=${limit}&offset=${offset}&type=TRADE`;
+async function fetchActivity(walletAddress, limit = LIMIT, offset = 0, start = null, end = null) {
+    let url = `${API_BASE}/activity?user=${walletAddress}&limit=${limit}&offset=${offset}&sortBy=TIMESTAMP&sortDirection=DESC`;
+    if (start) url += `&start=${start}`;
+    if (end) url += `&end=${end}`;
     
     try {
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
+        const response = await fetchWithRetry(url);
         const data = await response.json();
-        return data;
+        return data.map(normalizeActivity);
     } catch (error) {
         console.error('Error fetching activity:', error);
         throw error;
@@ -37,34 +175,95 @@ async function fetchActivity(walletAddress, limit = LIMIT, offset = 0) {
 }
 
 /**
- * Fetch ALL user activity by paginating through results
+ * Normalize an activity record into the common ledger shape
+ * 
+ * Every record gets a type, numeric size/usdcSize, a side (trades only)
+ * and a signed cashFlow in USDC: negative when money goes into a market.
+ */
+function normalizeActivity(record) {
+    const type = (record.type || 'TRADE').toUpperCase();
+    const size = Number(record.size) || 0;
+    const usdcSize = Number(record.usdcSize) || 0;
+    
+    let cashFlow;
+    if (type === 'TRADE') {
+        cashFlow = record.side === 'SELL' ? usdcSize : -usdcSize;
+    } else {
+        cashFlow = (ACTIVITY_TYPES[type]?.cashFlow || 0) * usdcSize;
+    }
+    
+    return {
+        ...record,
+        type,
+        size,
+        usdcSize,
+        price: record.price !== undefined ? Number(record.price) : (size > 0 ? usdcSize / size : 0),
+        side: type === 'TRADE' ? record.side : null,
+        cashFlow
+    };
+}
+
+/**
+ * Fetch ALL user activity, walking backwards in time windows
+ * 
+ * Pages through one window by offset, then moves the window's end back to
+ * the oldest timestamp seen, so histories of any length can be fetched.
  * @param {string} walletAddress - The proxy wallet address
- * @returns {Promise<Array>} - Complete array of all activity records
+ * @param {number} since - Only fetch records at or after this unix timestamp
+ * @param {Object} report - Fetch report to record pages in
+ * @param {Function} onProgress - Called with { records, oldestTimestamp } after each page
+ * @returns {Promise<Array>} - All activity records (partial if a page failed)
  */
-async function fetchAllActivity(walletAddress) {
-    let allActivity = [];
+async function fetchAllActivity(walletAddress, since = null, report = null, onProgress = null) {
+    const allActivity = [];
+    const seen = new Set();
+    let end = null;
     let offset = 0;
     let hasMore = true;
     
     while (hasMore) {
-        const batch = await fetchActivity(walletAddress, 500, offset);
+        let batch;
+        try {
+            batch = await fetchActivity(walletAddress, ACTIVITY_PAGE_SIZE, offset, since, end);
+            recordFetch(report, 'activity', true);
+        } catch (error) {
+            recordFetch(report, 'activity', false, error);
+            break;
+        }
+        
+        // Windows overlap on their boundary second, so skip repeats
+        batch.forEach(record => {
+            const key = getActivityKey(record);
+            if (seen.has(key)) return;
+            seen.add(key);
+            allActivity.push(record);
+        });
         
-        if (batch.length === 0) {
+        if (onProgress && batch.length > 0) {
+            onProgress({ records: allActivity.length, oldestTimestamp: batch[batch.length - 1].timestamp });
+        }
+        
+        // A short page means this window (and so the history) is exhausted
+        if (batch.length < ACTIVITY_PAGE_SIZE) {
             hasMore = false;
-        } else {
-            allActivity = allActivity.concat(batch);
-            offset += batch.length;
-            
-            // Safety check: stop at 10,000 records to prevent infinite loops
-            if (offset >= 10000) {
-                console.warn('Reached 10,000 record limit');
-                hasMore = false;
-            }
+            break;
+        }
+        
+        offset += batch.length;
+        
+        if (offset >= ACTIVITY_WINDOW_OFFSET) {
+            const oldest = batch[batch.length - 1].timestamp;
             
-            // If we got less than 500, we've reached the end
-            if (batch.length < 500) {
-                hasMore = false;
+            // More than a whole window inside one second: step past it
+            // rather than loop forever, and report the records skipped so
+            // the history isn't cached as complete
+            if (oldest === end) {
+                recordFetch(report, 'activity', false, new Error(`over ${ACTIVITY_WINDOW_OFFSET} records at ${new Date(oldest * 1000).toISOString()}, some skipped`));
+                end = oldest - 1;
+            } else {
+                end = oldest;
             }
+            offset = 0;
         }
     }
     
@@ -72,108 +271,222 @@ async function fetchAllActivity(walletAddress) {
 }
 
 /**
- * Fetch current open positions
+ * Fetch current open positions, paging until a short page comes back
  * @param {string} walletAddress - The proxy wallet address
- * @returns {Promise<Array>} - Array of position records
+ * @param {Object} report - Fetch report to record pages in
+ * @returns {Promise<Array>} - Array of position records (partial if a page failed)
  */
-async function fetchPositions(walletAddress) {
-    const url = `${API_BASE}/positions?user=${walletAddress}&sizeThreshold=0&limit=500`;
+async function fetchPositions(walletAddress, report = null) {
+    // Dust is hidden by the positions view, not dropped here
+    const baseUrl = `${API_BASE}/positions?user=${walletAddress}&sizeThreshold=0`;
+    let allPositions = [];
+    let offset = 0;
     
-    try {
-        const response = await fetch(url);
+    while (true) {
+        if (offset >= MAX_API_OFFSET) {
+            recordFetch(report, 'positions', false, new Error(`more than ${MAX_API_OFFSET} open positions`));
+            break;
+        }
         
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
+        let batch;
+        try {
+            const response = await fetchWithRetry(`${baseUrl}&limit=${POSITIONS_PAGE_SIZE}&offset=${offset}`);
+            batch = await response.json();
+            recordFetch(report, 'positions', true);
+        } catch (error) {
+            console.error('Error fetching positions:', error);
+            recordFetch(report, 'positions', false, error);
+            break;
         }
         
-        const data = await response.json();
+        allPositions = allPositions.concat(batch);
+        offset += batch.length;
         
-        // Filter out dust positions (less than $1 current value)
-        const filtered = data.filter(position => {
-            const currentValue = position.currentValue || 0;
-            return currentValue >= 1;
+        if (batch.length < POSITIONS_PAGE_SIZE) break;
+    }
+    
+    return allPositions;
+}
+
+/**
+ * Fetch closed/historical positions with pagination, newest first
+ * @param {string} walletAddress - The proxy wallet address
+ * @param {number} since - Stop once positions older than this unix timestamp appear
+ * @param {Object} report - Fetch report to record pages in
+ * @param {Function} onProgress - Called with { records } after each page
+ * @returns {Promise<Object>} - { positions, hitOffsetLimit } (partial if a page failed)
+ */
+async function fetchClosedPositions(walletAddress, since = null, report = null, onProgress = null) {
+    const url = `${API_BASE}/closed-positions?user=${walletAddress}&sortBy=TIMESTAMP&sortDirection=DESC`;
+    return fetchClosedPositionPages(url, since, report, onProgress);
+}
+
+/**
+ * Fetch closed positions for specific markets, a batch of markets per query
+ * 
+ * Used once plain pagination hits the API's offset ceiling.
+ * @param {string} walletAddress - The proxy wallet address
+ * @param {Array} conditionIds - Markets to look up
+ * @param {Object} report - Fetch report to record pages in
+ * @param {Function} onProgress - Called with { records } after each page
+ * @returns {Promise<Array>} - Closed position records
+ */
+async function fetchClosedPositionsForMarkets(walletAddress, conditionIds, report = null, onProgress = null) {
+    let allClosed = [];
+    
+    for (let i = 0; i < conditionIds.length; i += CLOSED_MARKETS_PER_QUERY) {
+        const markets = conditionIds.slice(i, i + CLOSED_MARKETS_PER_QUERY).join(',');
+        const url = `${API_BASE}/closed-positions?user=${walletAddress}&market=${markets}`;
+        const result = await fetchClosedPositionPages(url, null, report, p => {
+            if (onProgress) onProgress({ records: allClosed.length + p.records });
         });
         
-        return filtered;
-    } catch (error) {
-        console.error('Error fetching positions:', error);
-        throw error;
+        allClosed = allClosed.concat(result.positions);
+        if (result.failed) break;
     }
+    
+    return allClosed;
 }
 
 /**
- * Fetch closed/historical positions with pagination
- * @param {string} walletAddress - The proxy wallet address
- * @returns {Promise<Array>} - Array of closed position records
+ * Page through a closed-positions query until it runs out or hits the offset ceiling
  */
-async function fetchClosedPositions(walletAddress) {
+async function fetchClosedPositionPages(baseUrl, since, report, onProgress) {
     let allClosed = [];
     let offset = 0;
-    const limit = 50; // API max is 50 for this endpoint
     let hasMore = true;
+    let hitOffsetLimit = false;
     
     try {
         while (hasMore) {
-            const url = `${API_BASE}/closed-positions?user=${walletAddress}&limit=${limit}&offset=${offset}`;
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    return allClosed;
-                }
-                throw new Error(`API error: ${response.status} ${response.statusText}`);
+            const url = `${baseUrl}&limit=${CLOSED_PAGE_SIZE}&offset=${offset}`;
+            let response;
+            try {
+                response = await fetchWithRetry(url);
+            } catch (error) {
+                // 404 means there's nothing (more) to page through
+                if (error.status === 404) return { positions: allClosed, hitOffsetLimit, failed: false };
+                throw error;
             }
             
             const data = await response.json();
+            recordFetch(report, 'closedPositions', true);
             
             if (data.length === 0) {
                 hasMore = false;
             } else {
                 allClosed = allClosed.concat(data);
                 offset += data.length;
+                if (onProgress) onProgress({ records: allClosed.length });
                 
-                // Safety limit
-                if (offset >= 10000) {
+                // Incremental sync: everything past here is already cached
+                if (since && data.some(p => p.timestamp && p.timestamp < since)) {
+                    hasMore = false;
+                }
+                
+                // The API won't page past this; the caller falls back to per-market queries
+                if (offset >= MAX_API_OFFSET) {
+                    hitOffsetLimit = true;
                     hasMore = false;
                 }
                 
                 // If we got less than limit, we're done
-                if (data.length < limit) {
+                if (data.length < CLOSED_PAGE_SIZE) {
                     hasMore = false;
                 }
             }
         }
         
-        return allClosed;
+        return { positions: allClosed, hitOffsetLimit, failed: false };
     } catch (error) {
         console.error('Error fetching closed positions:', error);
-        return allClosed; // Return what we have so far
+        recordFetch(report, 'closedPositions', false, error);
+        return { positions: allClosed, hitOffsetLimit, failed: true }; // Flagged in the report
     }
 }
 
 /**
- * Fetch all data for a wallet
+ * Fetch all data for a wallet, syncing incrementally against the local cache
  * @param {string} walletAddress - The proxy wallet address
- * @returns {Promise<Object>} - Object containing activity, positions, and closedPositions
+ * @param {Object} options - { forceFull: ignore the cache and re-download everything,
+ *                             onProgress: called with { source, records, oldestTimestamp } }
+ * @returns {Promise<Object>} - Object containing activity, positions, closedPositions,
+ *                            market metadata and cache info
  */
-async function fetchAllData(walletAddress) {
+async function fetchAllData(walletAddress, options = {}) {
     // Validate wallet address format
     if (!walletAddress || !walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
         throw new Error('Invalid wallet address format. Must be 0x followed by 40 hex characters.');
     }
     
-    // Fetch all data in parallel
-    const [activity, positions, closedPositions] = await Promise.all([
-        fetchAllActivity(walletAddress),
-        fetchPositions(walletAddress),
-        fetchClosedPositions(walletAddress)
+    const cached = options.forceFull ? null : await getCachedWallet(walletAddress);
+    const report = createFetchReport();
+    
+    const progress = source => update => {
+        if (options.onProgress) options.onProgress({ source, ...update });
+    };
+    
+    // Open positions are always fetched fresh; history only since the cursor
+    const [newActivity, positions, closedResult] = await Promise.all([
+        fetchAllActivity(walletAddress, cached ? cached.cursor : null, report, progress('activity')),
+        fetchPositions(walletAddress, report),
+        fetchClosedPositions(walletAddress, cached ? cached.closedCursor : null, report, progress('closedPositions'))
     ]);
     
+    // Past the offset ceiling, look up the remaining markets one batch at a time
+    let newClosed = closedResult.positions;
+    if (closedResult.hitOffsetLimit) {
+        const found = new Set(newClosed.map(p => p.conditionId));
+        const missing = [...new Set(newActivity.map(a => a.conditionId))].filter(id => id && !found.has(id));
+        const onProgress = progress('closedPositions');
+        const extra = await fetchClosedPositionsForMarkets(walletAddress, missing, report, p => {
+            onProgress({ records: newClosed.length + p.records });
+        });
+        newClosed = mergeClosedPositions(extra, newClosed);
+    }
+    
+    const completeness = summarizeFetchReport(report);
+    const activitySource = report.sources.activity;
+    
+    if (!cached && newActivity.length === 0 && activitySource && !activitySource.complete) {
+        throw new Error(`Could not load activity: ${activitySource.errors[0]}`);
+    }
+    
+    const activity = cached ? mergeActivity(newActivity, cached.activity) : newActivity;
+    const closedPositions = cached ? mergeClosedPositions(newClosed, cached.closedPositions) : newClosed;
+    
+    // Official tags, events and resolutions for every market touched
+    const metadata = await loadMarketMetadata([
+        ...activity.map(a => a.conditionId),
+        ...positions.map(p => p.conditionId),
+        ...closedPositions.map(p => p.conditionId)
+    ], progress('markets'));
+    
+    // Never advance the sync cursor past a gap: only cache complete history
+    const historyComplete = !completeness.incomplete.includes('activity') &&
+        !completeness.incomplete.includes('closedPositions');
+    const saved = historyComplete
+        ? await saveCachedWallet(walletAddress, { activity, positions, closedPositions }, {
+            fullSync: !cached,
+            previous: cached
+        })
+        : null;
+    
     return {
         activity,
         positions,
         closedPositions,
-        walletAddress
+        markets: metadata.markets,
+        marketMetadata: metadata.summary,
+        walletAddress,
+        completeness,
+        cache: {
+            incremental: !!cached,
+            newRecords: cached ? activity.length - cached.activity.length : activity.length,
+            syncedAt: saved ? saved.syncedAt : null,
+            fullSyncAt: saved ? saved.fullSyncAt : null,
+            sizeBytes: saved ? saved.sizeBytes : 0
+        }
     };
 }
 
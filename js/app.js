@@ -6,13 +6,17 @@ const appState = {
     walletAddress: null,
     data: null,
     stats: null,
-    currentTradeOffset: 0,
-    tradesPerPage: 25,
-    chartRange: 'weekly'
+    chartRange: 'weekly',
+    pnlMode: 'realized',
+    heatmapMode: 'count',
+    costBasisMethod: 'fifo',
+    loadProgress: {}
 };
 
 // Nav link highlighting
 document.addEventListener('DOMContentLoaded', () => {
+    initializeTimezoneSelect();
+    
     const navLinks = document.querySelectorAll('.nav-link');
     
     const observer = new IntersectionObserver((entries) => {
@@ -30,8 +34,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Analyze wallet
+ * @param {Object} options - { forceFull: skip the local cache }
  */
-async function analyzeWallet() {
+async function analyzeWallet(options = {}) {
     const input = document.getElementById('wallet-input');
     const walletAddress = input.value.trim();
     
@@ -45,41 +50,38 @@ async function analyzeWallet() {
     hideError();
     
     try {
-        const data = await fetchAllData(walletAddress);
+        const data = await fetchAllData(walletAddress, {
+            forceFull: !!options.forceFull,
+            onProgress: updateLoadingProgress
+        });
         
         if (!data.activity || data.activity.length === 0) {
             throw new Error('No trading history found');
         }
         
-        const stats = calculateStats(data);
+        const stats = calculateStats(data, { costBasisMethod: appState.costBasisMethod });
         
         appState.walletAddress = walletAddress;
         appState.data = data;
         appState.stats = stats;
-        appState.currentTradeOffset = 0;
         
         // Update display
         document.getElementById('wallet-display').textContent = 
             walletAddress.substring(0, 6) + '...' + walletAddress.substring(38);
         
+        renderCompleteness(data.completeness);
         renderSummary(stats);
+        renderCacheStatus(data.cache);
         renderPositions(data.positions);
         renderAnalysis(stats);
-        renderTrades(data.activity.slice(0, appState.tradesPerPage));
+        renderObservations(generateObservations(stats, data), data);
+        initializeTradesTable(data);
         createAllCharts(stats);
         
         if (typeof initializeJournal === 'function') initializeJournal(data);
+        if (typeof initializeInsights === 'function') initializeInsights(walletAddress);
         if (typeof initializeLeaderboard === 'function') initializeLeaderboard(stats);
         
-        document.getElementById('trades-count').textContent = data.activity.length;
-        
-        const loadMoreBtn = document.getElementById('load-more-btn');
-        if (data.activity.length > appState.tradesPerPage) {
-            loadMoreBtn.classList.remove('hidden');
-        } else {
-            loadMoreBtn.classList.add('hidden');
-        }
-        
         showLoading(false);
         showResults();
         
@@ -90,6 +92,53 @@ async function analyzeWallet() {
     }
 }
 
+/**
+ * Re-analyze ignoring the local cache
+ */
+async function forceFullRefresh() {
+    const walletAddress = document.getElementById('wallet-input').value.trim();
+    if (walletAddress) await clearCachedWallet(walletAddress);
+    analyzeWallet({ forceFull: true });
+}
+
+/**
+ * Show the partial data banner when any page failed to load
+ */
+function renderCompleteness(completeness) {
+    const banner = document.getElementById('partial-banner');
+    const complete = !completeness || completeness.complete;
+    
+    banner.classList.toggle('hidden', complete);
+    document.querySelector('.summary-grid').classList.toggle('partial', !complete);
+    if (complete) return;
+    
+    const sourceNames = { activity: 'activity', positions: 'open positions', closedPositions: 'closed positions' };
+    const parts = completeness.incomplete.map(name => {
+        const source = completeness.sources[name];
+        return `${sourceNames[name] || name} (${source.errors[source.errors.length - 1]})`;
+    });
+    
+    document.getElementById('partial-banner-text').textContent =
+        `⚠️ Partial data: ${completeness.pagesFailed} of ${completeness.pagesFetched + completeness.pagesFailed} pages failed to load — ` +
+        `${parts.join(', ')}. Stats marked * are incomplete.`;
+}
+
+/**
+ * Render cache size and age
+ */
+function renderCacheStatus(cache) {
+    const el = document.getElementById('cache-status');
+    
+    if (!cache || !cache.syncedAt) {
+        el.textContent = appState.stats && !appState.stats.dataComplete ? 'Not cached (partial data)' : 'Not cached';
+        return;
+    }
+    
+    const sync = cache.incremental ? `+${cache.newRecords} new` : 'full sync';
+    el.textContent = `Cache ${formatBytes(cache.sizeBytes)} · ${sync} · full sync ${formatAge(cache.fullSyncAt)}`;
+    el.title = `Last synced ${formatZonedDate(cache.syncedAt / 1000, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+}
+
 /**
  * Render summary stats
  */
@@ -104,6 +153,7 @@ function renderSummary(stats) {
     const pnlEl = document.getElementById('stat-pnl');
     pnlEl.textContent = (pnl >= 0 ? '+' : '') + formatCurrency(pnl);
     pnlEl.className = 'summary-value ' + (pnl >= 0 ? 'positive' : 'negative');
+    pnlEl.title = `From the trade ledger; the API reports ${formatCurrency(stats.apiRealizedPnL || 0)}`;
     
     const avgWin = stats.avgWinAmount || 0;
     const avgLoss = stats.avgLossAmount || 0;
@@ -111,45 +161,19 @@ function renderSummary(stats) {
     
     const pf = stats.profitFactor;
     document.getElementById('stat-pf').textContent = pf === Infinity ? '∞' : (pf || 0).toFixed(2);
-}
-
-/**
- * Render positions
- */
-function renderPositions(positions) {
-    const container = document.getElementById('positions-container');
-    document.getElementById('positions-count').textContent = positions?.length || 0;
     
-    if (!positions || positions.length === 0) {
-        container.innerHTML = '<p class="no-data">No open positions</p>';
-        return;
-    }
-    
-    container.innerHTML = positions.slice(0, 12).map(p => {
-        const pnl = p.currentValue - p.initialValue;
-        const pnlPct = ((p.currentValue / p.initialValue - 1) * 100).toFixed(1);
-        return `
-            <div class="position-card">
-                <div class="position-title">${p.title || 'Unknown'}</div>
-                <div class="position-row">
-                    <span class="label">Outcome</span>
-                    <span class="value">${p.outcome || '-'}</span>
-                </div>
-                <div class="position-row">
-                    <span class="label">Size</span>
-                    <span class="value">${p.size?.toFixed(2) || '-'}</span>
-                </div>
-                <div class="position-row">
-                    <span class="label">Avg Price</span>
-                    <span class="value">${(p.avgPrice * 100).toFixed(0)}¢</span>
-                </div>
-                <div class="position-row">
-                    <span class="label">P&L</span>
-                    <span class="value ${pnl >= 0 ? 'positive' : 'negative'}">${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} (${pnlPct}%)</span>
-                </div>
-            </div>
-        `;
-    }).join('');
+    // Risk
+    const maxDD = stats.maxDrawdown || 0;
+    const ddEl = document.getElementById('stat-maxdd');
+    ddEl.textContent = maxDD > 0 ? '-' + formatCurrency(maxDD) : formatCurrency(0);
+    ddEl.className = 'summary-value ' + (maxDD > 0 ? 'negative' : '');
+    document.getElementById('stat-maxddpct').textContent = stats.maxDrawdownPct > 0 ? `-${stats.maxDrawdownPct.toFixed(1)}%` : '-';
+    document.getElementById('stat-dddays').textContent = `${stats.maxDrawdownDays || 0}d`;
+    document.getElementById('stat-vol').textContent = formatCurrency(stats.dailyVolatility || 0);
+    document.getElementById('stat-sharpe').textContent = stats.sharpeRatio === null || stats.sharpeRatio === undefined ? '-' : stats.sharpeRatio.toFixed(2);
+    document.getElementById('stat-sortino').textContent = stats.sortinoRatio === null || stats.sortinoRatio === undefined ? '-' : stats.sortinoRatio.toFixed(2);
+    document.getElementById('stat-winstreak').textContent = stats.longestWinStreak || 0;
+    document.getElementById('stat-lossstreak').textContent = stats.longestLossStreak || 0;
 }
 
 /**
@@ -168,8 +192,8 @@ function renderAnalysis(stats) {
                 const wrClass = d.winRate >= 55 ? 'good' : d.winRate < 45 ? 'bad' : '';
                 const pnlClass = d.totalPnl >= 0 ? 'positive' : 'negative';
                 return `
-                    <div class="mini-table-row">
-                        <span class="cat">${cat}</span>
+                    <div class="mini-table-row clickable" data-category="${escapeAttribute(cat)}" onclick="openCategoryMarkets(this.dataset.category)">
+                        <span class="cat">${escapeHtml(cat)}</span>
                         <span class="ct">${d.count}</span>
                         <span class="wr ${wrClass}">${d.winRate.toFixed(0)}%</span>
                         <span class="pnl ${pnlClass}">${d.totalPnl >= 0 ? '+' : ''}$${d.totalPnl.toFixed(0)}</span>
@@ -181,6 +205,11 @@ function renderAnalysis(stats) {
         }
     }
     
+    const sources = stats.categorySources;
+    document.getElementById('category-source').textContent = sources
+        ? `${sources.tag} by official tags · ${sources.rule} by title rules · ${sources.override} pinned · ${sources.fallback} uncategorized`
+        : '';
+    
     // Price range table
     const priceContainer = document.getElementById('price-table');
     if (stats.winLossByPriceRange) {
@@ -192,7 +221,7 @@ function renderAnalysis(stats) {
                 const pnlClass = d.totalPnl >= 0 ? 'positive' : 'negative';
                 return `
                     <div class="mini-table-row">
-                        <span class="cat">${range}</span>
+                        <span class="cat">${escapeHtml(range)}</span>
                         <span class="ct">${d.count}</span>
                         <span class="wr ${wrClass}">${d.winRate.toFixed(0)}%</span>
                         <span class="pnl ${pnlClass}">${d.totalPnl >= 0 ? '+' : ''}$${d.totalPnl.toFixed(0)}</span>
@@ -204,90 +233,123 @@ function renderAnalysis(stats) {
         }
     }
     
+    // Holding period table
+    const holdingContainer = document.getElementById('holding-table');
+    if (stats.holdingPeriods) {
+        const buckets = Object.entries(stats.holdingPeriods.buckets).filter(([_, d]) => d.count > 0);
+        
+        if (buckets.length > 0) {
+            holdingContainer.innerHTML = buckets.map(([bucket, d]) => {
+                const wrClass = d.winRate >= 55 ? 'good' : d.winRate < 45 ? 'bad' : '';
+                const pnlClass = d.totalPnl >= 0 ? 'positive' : 'negative';
+                return `
+                    <div class="mini-table-row">
+                        <span class="cat">${escapeHtml(bucket)}</span>
+                        <span class="ct">${d.count}</span>
+                        <span class="wr ${wrClass}">${d.winRate.toFixed(0)}%</span>
+                        <span class="pnl ${pnlClass}">${d.totalPnl >= 0 ? '+' : ''}$${d.totalPnl.toFixed(0)}</span>
+                    </div>
+                `;
+            }).join('');
+        } else {
+            holdingContainer.innerHTML = '<p class="no-data">No data</p>';
+        }
+    }
+    
     // Extremes
     const extremesContainer = document.getElementById('extremes-container');
     let html = '';
     
     if (stats.biggestWin) {
         html += `
-            <div class="extreme-card win">
+            <div class="extreme-card win clickable" data-condition-id="${escapeAttribute(stats.biggestWin.conditionId)}" data-asset="${escapeAttribute(stats.biggestWin.asset || '')}" onclick="openMarketDetail(this.dataset.conditionId, this.dataset.asset)">
                 <div class="extreme-header">
                     <span class="extreme-label">Biggest Win</span>
                     <span class="extreme-amount positive">+$${stats.biggestWin.realizedPnl.toFixed(2)}</span>
                 </div>
-                <div class="extreme-title">${stats.biggestWin.title || 'Unknown'}</div>
+                <div class="extreme-title">${escapeHtml(stats.biggestWin.title || 'Unknown')}</div>
             </div>
         `;
     }
     
     if (stats.biggestLoss) {
         html += `
-            <div class="extreme-card loss">
+            <div class="extreme-card loss clickable" data-condition-id="${escapeAttribute(stats.biggestLoss.conditionId)}" data-asset="${escapeAttribute(stats.biggestLoss.asset || '')}" onclick="openMarketDetail(this.dataset.conditionId, this.dataset.asset)">
                 <div class="extreme-header">
                     <span class="extreme-label">Biggest Loss</span>
                     <span class="extreme-amount negative">-$${Math.abs(stats.biggestLoss.realizedPnl).toFixed(2)}</span>
                 </div>
-                <div class="extreme-title">${stats.biggestLoss.title || 'Unknown'}</div>
+                <div class="extreme-title">${escapeHtml(stats.biggestLoss.title || 'Unknown')}</div>
             </div>
         `;
     }
     
     extremesContainer.innerHTML = html || '';
+    
+    renderReconciliation(stats);
 }
 
 /**
- * Render trades table
+ * Render ledger vs API P&L reconciliation
  */
-function renderTrades(trades) {
-    const tbody = document.getElementById('trades-tbody');
+function renderReconciliation(stats) {
+    const summary = document.getElementById('reconcile-summary');
+    const table = document.getElementById('reconcile-table');
+    const rec = stats.pnlReconciliation;
     
-    tbody.innerHTML = trades.map(t => {
-        const date = new Date(t.timestamp * 1000).toLocaleDateString('en-US', {
-            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
-        });
-        const side = t.side || 'BUY';
-        const price = (t.price * 100).toFixed(0);
-        const size = t.size?.toFixed(2) || '-';
-        const usdc = t.usdcSize?.toFixed(2) || '-';
-        
-        return `
-            <tr>
-                <td>${date}</td>
-                <td class="market">${t.title || 'Unknown'}</td>
-                <td class="${side.toLowerCase()}">${side}</td>
-                <td>${t.outcome || '-'}</td>
-                <td>${price}¢</td>
-                <td>${size}</td>
-                <td>$${usdc}</td>
-            </tr>
-        `;
-    }).join('');
+    document.getElementById('cost-basis-method').value = stats.costBasis.method;
+    
+    if (!rec || rec.checked === 0) {
+        summary.textContent = '-';
+        table.innerHTML = '<p class="no-data">No closed positions to reconcile</p>';
+        return;
+    }
+    
+    const diff = rec.ledgerTotal - rec.apiTotal;
+    summary.innerHTML = `
+        <span>Ledger <b class="${rec.ledgerTotal >= 0 ? 'positive' : 'negative'}">${rec.ledgerTotal >= 0 ? '+' : '-'}$${Math.abs(rec.ledgerTotal).toFixed(2)}</b></span>
+        <span>API <b class="${rec.apiTotal >= 0 ? 'positive' : 'negative'}">${rec.apiTotal >= 0 ? '+' : '-'}$${Math.abs(rec.apiTotal).toFixed(2)}</b></span>
+        <span>Diff <b>${diff >= 0 ? '+' : '-'}$${Math.abs(diff).toFixed(2)}</b></span>
+        <span>${rec.matched}/${rec.checked} match</span>
+    `;
+    
+    if (rec.mismatches.length === 0) {
+        table.innerHTML = '<p class="no-data">All closed positions match the trade history</p>';
+        return;
+    }
+    
+    table.innerHTML = rec.mismatches.slice(0, 10).map(m => `
+        <div class="mini-table-row">
+            <span class="cat" title="${escapeAttribute(m.reason)}">${escapeHtml(m.title || 'Unknown')} · ${escapeHtml(m.outcome || '-')}</span>
+            <span class="reason">${escapeHtml(m.reason)}</span>
+            <span class="pnl">${m.apiPnl >= 0 ? '+' : '-'}$${Math.abs(m.apiPnl).toFixed(0)}</span>
+            <span class="pnl ${m.diff >= 0 ? 'positive' : 'negative'}">${m.diff >= 0 ? '+' : '-'}$${Math.abs(m.diff).toFixed(0)}</span>
+        </div>
+    `).join('') + (rec.mismatches.length > 10
+        ? `<p class="no-data">+${rec.mismatches.length - 10} more flagged</p>`
+        : '');
 }
 
 /**
- * Load more trades
+ * Switch cost basis method and rebuild the ledger
  */
-function loadMoreTrades() {
+function setCostBasisMethod(method) {
+    appState.costBasisMethod = method;
+    refreshStats();
+}
+
+/**
+ * Recompute stats from the loaded data and redraw everything derived from them
+ */
+function refreshStats() {
     if (!appState.data) return;
     
-    appState.currentTradeOffset += appState.tradesPerPage;
-    const nextTrades = appState.data.activity.slice(
-        appState.currentTradeOffset,
-        appState.currentTradeOffset + appState.tradesPerPage
-    );
-    
-    renderTrades([
-        ...Array.from(document.getElementById('trades-tbody').querySelectorAll('tr')).map(() => ({})),
-        ...appState.data.activity.slice(0, appState.currentTradeOffset + appState.tradesPerPage)
-    ].slice(-appState.currentTradeOffset - appState.tradesPerPage));
-    
-    // Actually just re-render all loaded trades
-    const allLoaded = appState.data.activity.slice(0, appState.currentTradeOffset + appState.tradesPerPage);
-    renderTrades(allLoaded);
-    
-    if (appState.currentTradeOffset + appState.tradesPerPage >= appState.data.activity.length) {
-        document.getElementById('load-more-btn').classList.add('hidden');
-    }
+    appState.stats = calculateStats(appState.data, { costBasisMethod: appState.costBasisMethod });
+    renderSummary(appState.stats);
+    renderAnalysis(appState.stats);
+    renderObservations(generateObservations(appState.stats, appState.data), appState.data);
+    initializeTradesTable(appState.data);
+    createAllCharts(appState.stats);
 }
 
 /**
@@ -296,7 +358,7 @@ function loadMoreTrades() {
 function setChartRange(range) {
     appState.chartRange = range;
     
-    document.querySelectorAll('.chart-btn').forEach(btn => {
+    document.querySelectorAll('.chart-btn[data-range]').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.range === range);
     });
     
@@ -305,6 +367,36 @@ function setChartRange(range) {
     }
 }
 
+/**
+ * P&L chart mode control
+ */
+function setPnLMode(mode) {
+    appState.pnlMode = mode;
+    
+    document.querySelectorAll('.pnl-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    
+    if (appState.stats) {
+        createPnLChart(appState.stats);
+    }
+}
+
+/**
+ * Heatmap mode control
+ */
+function setHeatmapMode(mode) {
+    appState.heatmapMode = mode;
+    
+    document.querySelectorAll('.heatmap-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    
+    if (appState.stats) {
+        renderTimingHeatmap(appState.stats);
+    }
+}
+
 /**
  * Helpers
  */
@@ -316,6 +408,35 @@ function formatCurrency(value) {
 
 function showLoading(show) {
     document.getElementById('loading').classList.toggle('hidden', !show);
+    
+    if (show) {
+        appState.loadProgress = {};
+        document.getElementById('loading-text').textContent = 'Loading...';
+    }
+}
+
+/**
+ * Show records loaded and how far back the history has reached
+ */
+function updateLoadingProgress(update) {
+    const progress = appState.loadProgress;
+    progress[update.source] = update;
+    
+    const parts = [];
+    if (progress.activity) {
+        const reached = formatZonedDate(progress.activity.oldestTimestamp, {
+            month: 'short', day: 'numeric', year: 'numeric'
+        });
+        parts.push(`${progress.activity.records.toLocaleString()} activity records (back to ${reached})`);
+    }
+    if (progress.closedPositions) {
+        parts.push(`${progress.closedPositions.records.toLocaleString()} closed positions`);
+    }
+    if (progress.markets) {
+        parts.push(`${progress.markets.records.toLocaleString()} market details`);
+    }
+    
+    document.getElementById('loading-text').textContent = 'Loading... ' + parts.join(' · ');
 }
 
 function showResults() {
@@ -0,0 +1,235 @@
+/**
+ * cache.js - Local Wallet Cache (IndexedDB)
+ *
+ * Keeps each wallet's activity, positions and closed positions between
+ * visits so re-analysis only has to fetch what's new. Market metadata is
+ * shared across wallets in its own store.
+ */
+
+const CACHE_DB_NAME = 'belief_mirror_cache';
+const CACHE_DB_VERSION = 2;
+const CACHE_WALLET_STORE = 'wallets';
+const CACHE_MARKET_STORE = 'markets';
+
+let cacheDbPromise = null;
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCacheDB() {
+    if (cacheDbPromise) return cacheDbPromise;
+
+    cacheDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CACHE_WALLET_STORE)) {
+                db.createObjectStore(CACHE_WALLET_STORE, { keyPath: 'wallet' });
+            }
+            if (!db.objectStoreNames.contains(CACHE_MARKET_STORE)) {
+                db.createObjectStore(CACHE_MARKET_STORE, { keyPath: 'conditionId' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call retry if opening failed
+    cacheDbPromise.catch(() => { cacheDbPromise = null; });
+
+    return cacheDbPromise;
+}
+
+/**
+ * Run a single request against a store
+ */
+async function runCacheRequest(storeName, mode, makeRequest) {
+    const db = await openCacheDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get a wallet's cached data
+ * @param {string} walletAddress - The proxy wallet address
+ * @returns {Promise<Object|null>} - Cached record, or null if missing or unavailable
+ */
+async function getCachedWallet(walletAddress) {
+    try {
+        const record = await runCacheRequest(CACHE_WALLET_STORE, 'readonly',
+            store => store.get(walletAddress.toLowerCase()));
+        return record || null;
+    } catch (error) {
+        console.warn('Cache read failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Save a wallet's data along with its sync cursor
+ * @param {string} walletAddress - The proxy wallet address
+ * @param {Object} data - { activity, positions, closedPositions }
+ * @param {Object} meta - { fullSync: boolean, previous: earlier cached record }
+ * @returns {Promise<Object|null>} - The stored record
+ */
+async function saveCachedWallet(walletAddress, data, meta = {}) {
+    const now = Date.now();
+    const record = {
+        wallet: walletAddress.toLowerCase(),
+        activity: data.activity,
+        positions: data.positions,
+        closedPositions: data.closedPositions,
+        cursor: getLatestTimestamp(data.activity),
+        closedCursor: getLatestTimestamp(data.closedPositions),
+        syncedAt: now,
+        fullSyncAt: meta.fullSync ? now : (meta.previous?.fullSyncAt || now)
+    };
+    record.sizeBytes = new Blob([JSON.stringify(record)]).size;
+
+    try {
+        await runCacheRequest(CACHE_WALLET_STORE, 'readwrite', store => store.put(record));
+        return record;
+    } catch (error) {
+        console.warn('Cache write failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Drop a wallet's cached data
+ */
+async function clearCachedWallet(walletAddress) {
+    try {
+        await runCacheRequest(CACHE_WALLET_STORE, 'readwrite',
+            store => store.delete(walletAddress.toLowerCase()));
+    } catch (error) {
+        console.warn('Cache delete failed:', error);
+    }
+}
+
+/**
+ * Get cached metadata for a set of markets
+ * @param {Array} conditionIds - Markets to look up
+ * @returns {Promise<Object>} - Map of conditionId to metadata (missing ids omitted)
+ */
+async function getCachedMarkets(conditionIds) {
+    const markets = {};
+    if (conditionIds.length === 0) return markets;
+
+    try {
+        // One get per market in a single transaction: the store is shared by
+        // every wallet, so reading all of it grows with each wallet analyzed
+        const db = await openCacheDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(CACHE_MARKET_STORE, 'readonly');
+            const store = tx.objectStore(CACHE_MARKET_STORE);
+            new Set(conditionIds).forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (request.result) markets[id] = request.result;
+                };
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (error) {
+        console.warn('Market cache read failed:', error);
+    }
+
+    return markets;
+}
+
+/**
+ * Store metadata records for markets
+ */
+async function saveCachedMarkets(records) {
+    if (records.length === 0) return;
+
+    try {
+        const db = await openCacheDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(CACHE_MARKET_STORE, 'readwrite');
+            const store = tx.objectStore(CACHE_MARKET_STORE);
+            records.forEach(r => store.put(r));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (error) {
+        console.warn('Market cache write failed:', error);
+    }
+}
+
+/**
+ * Newest timestamp in a list of records (0 when empty)
+ */
+function getLatestTimestamp(records) {
+    return (records || []).reduce((max, r) => Math.max(max, r.timestamp || 0), 0);
+}
+
+/**
+ * Stable identity for an activity record, used to merge overlapping fetches
+ */
+function getActivityKey(record) {
+    return [record.transactionHash, record.type, record.asset || record.conditionId, record.side, record.size, record.timestamp].join('|');
+}
+
+/**
+ * Merge newly fetched activity into cached activity, newest first
+ */
+function mergeActivity(fresh, cached) {
+    const seen = new Set();
+    const merged = [];
+
+    [...fresh, ...cached].forEach(record => {
+        const key = getActivityKey(record);
+        if (seen.has(key)) return;
+        seen.add(key);
+        merged.push(record);
+    });
+
+    return merged.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Merge newly fetched closed positions into cached ones (fresh wins)
+ */
+function mergeClosedPositions(fresh, cached) {
+    const byKey = new Map();
+    cached.forEach(p => byKey.set(getPositionKey(p), p));
+    fresh.forEach(p => byKey.set(getPositionKey(p), p));
+    return Array.from(byKey.values());
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    if (bytes >= 1024) return (bytes / 1024).toFixed(0) + ' KB';
+    return bytes + ' B';
+}
+
+/**
+ * Format how long ago a timestamp (ms) was
+ */
+function formatAge(ms) {
+    const minutes = Math.floor((Date.now() - ms) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
@@ -6,6 +6,10 @@ let activityChart = null;
 let pnlChart = null;
 let categoryPieChart = null;
 let categoryWinrateChart = null;
+let calibrationChart = null;
+let underwaterChart = null;
+let holdingPeriodChart = null;
+let marketPriceChart = null;
 
 const chartColors = {
     primary: '#6366f1',
@@ -30,6 +34,10 @@ function createAllCharts(stats) {
     createPnLChart(stats);
     createCategoryPieChart(stats);
     createCategoryWinrateChart(stats);
+    createCalibrationChart(stats);
+    createUnderwaterChart(stats);
+    createHoldingPeriodChart(stats);
+    renderTimingHeatmap(stats);
 }
 
 /**
@@ -40,18 +48,7 @@ function aggregateByTimeRange(data, dateField, valueField) {
     const grouped = {};
     
     data.forEach(item => {
-        const date = new Date(item[dateField] * 1000);
-        let key;
-        
-        if (range === 'daily') {
-            key = date.toISOString().split('T')[0];
-        } else if (range === 'weekly') {
-            const weekStart = new Date(date);
-            weekStart.setDate(date.getDate() - date.getDay());
-            key = weekStart.toISOString().split('T')[0];
-        } else {
-            key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        }
+        const key = getRangeKey(item[dateField], range);
         
         if (!grouped[key]) grouped[key] = 0;
         grouped[key] += item[valueField] || 0;
@@ -62,6 +59,15 @@ function aggregateByTimeRange(data, dateField, valueField) {
         .map(([date, value]) => ({ date, value }));
 }
 
+/**
+ * Bucket key for a timestamp (seconds) in the app timezone
+ */
+function getRangeKey(timestamp, range) {
+    if (range === 'daily') return getDateKey(timestamp);
+    if (range === 'weekly') return getWeekKey(timestamp);
+    return getMonthKey(timestamp);
+}
+
 /**
  * Activity Chart
  */
@@ -71,7 +77,9 @@ function createActivityChart(stats) {
     
     if (activityChart) activityChart.destroy();
     
-    const aggregated = aggregateByTimeRange(appState.data.activity, 'timestamp', 'usdcSize');
+    // Same definition as totalVolume: trades plus redemptions
+    const volumeRecords = appState.data.activity.filter(a => a.type === 'TRADE' || a.type === 'REDEEM');
+    const aggregated = aggregateByTimeRange(volumeRecords, 'timestamp', 'usdcSize');
     
     activityChart = new Chart(ctx, {
         type: 'bar',
@@ -118,61 +126,89 @@ function createActivityChart(stats) {
  */
 function createPnLChart(stats) {
     const ctx = document.getElementById('pnl-chart');
-    if (!ctx || !stats.pnlOverTime || stats.pnlOverTime.length === 0) return;
+    if (!ctx) return;
     
-    if (pnlChart) pnlChart.destroy();
+    // Empty state: no realized history (e.g. only open positions) clears the chart
+    if (pnlChart) {
+        pnlChart.destroy();
+        pnlChart = null;
+    }
+    if (!stats.pnlOverTime || stats.pnlOverTime.length === 0) return;
     
     const range = appState.chartRange;
+    const mode = appState.pnlMode;
     const grouped = {};
     
+    // Keep the last point in each bucket (values are cumulative)
     stats.pnlOverTime.forEach(item => {
-        const date = new Date(item.date);
-        let key;
-        
-        if (range === 'daily') {
-            key = date.toISOString().split('T')[0];
-        } else if (range === 'weekly') {
-            const weekStart = new Date(date);
-            weekStart.setDate(date.getDate() - date.getDay());
-            key = weekStart.toISOString().split('T')[0];
-        } else {
-            key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        }
-        
-        grouped[key] = item.cumulative;
+        grouped[getRangeKey(item.date / 1000, range)] = item;
     });
     
     const data = Object.entries(grouped)
         .sort((a, b) => a[0].localeCompare(b[0]))
-        .map(([date, value]) => ({ date, value }));
+        .map(([date, item]) => ({ date, item }));
+    
+    const lineStyle = (color, fill) => ({
+        borderColor: color,
+        backgroundColor: color + '20',
+        borderWidth: 2,
+        fill,
+        tension: 0.3,
+        pointRadius: 0,
+        pointHoverRadius: 4
+    });
     
-    const values = data.map(d => d.value);
-    const isPositive = values.length > 0 && values[values.length - 1] >= 0;
+    let datasets;
+    
+    if (mode === 'category') {
+        const last = data.length > 0 ? data[data.length - 1].item.byCategory || {} : {};
+        const categories = Object.keys(last)
+            .sort((a, b) => Math.abs(last[b]) - Math.abs(last[a]))
+            .slice(0, 6);
+        const colors = ['#6366f1', '#22c55e', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
+        
+        datasets = categories.map((cat, i) => ({
+            label: cat,
+            data: data.map(d => d.item.byCategory?.[cat] || 0),
+            ...lineStyle(colors[i], false)
+        }));
+    } else {
+        const values = data.map(d => d.item.cumulative);
+        const isPositive = values.length > 0 && values[values.length - 1] >= 0;
+        
+        datasets = [{
+            label: 'Realized',
+            data: values,
+            ...lineStyle(isPositive ? chartColors.success : chartColors.danger, mode !== 'mtm')
+        }];
+        
+        if (mode === 'mtm') {
+            datasets.push({
+                label: 'Mark-to-Market',
+                data: data.map(d => d.item.markToMarket),
+                ...lineStyle(chartColors.primary, false),
+                borderDash: [4, 3]
+            });
+        }
+    }
     
     pnlChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: data.map(d => d.date),
-            datasets: [{
-                label: 'Cumulative P&L',
-                data: values,
-                borderColor: isPositive ? chartColors.success : chartColors.danger,
-                backgroundColor: (isPositive ? chartColors.success : chartColors.danger) + '20',
-                borderWidth: 2,
-                fill: true,
-                tension: 0.3,
-                pointRadius: 0,
-                pointHoverRadius: 4
-            }]
+            datasets
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
-                legend: { display: false },
+                legend: {
+                    display: datasets.length > 1,
+                    labels: { boxWidth: 10, padding: 8, font: { size: 10 } }
+                },
                 tooltip: {
                     callbacks: {
-                        label: ctx => (ctx.raw >= 0 ? '+' : '') + '$' + ctx.raw.toFixed(2)
+                        label: ctx => `${ctx.dataset.label}: ${ctx.raw >= 0 ? '+' : '-'}$${Math.abs(ctx.raw).toFixed(2)}`
                     }
                 }
             },
@@ -291,3 +327,344 @@ function createCategoryWinrateChart(stats) {
         }
     });
 }
+
+/**
+ * Calibration (Reliability Diagram) Chart
+ */
+function createCalibrationChart(stats) {
+    const ctx = document.getElementById('calibration-chart');
+    const summary = document.getElementById('calibration-summary');
+    if (!ctx || !stats.calibration) return;
+    
+    if (calibrationChart) calibrationChart.destroy();
+    
+    const cal = stats.calibration;
+    if (summary) {
+        summary.textContent = cal.sampleSize > 0
+            ? `Brier ${cal.brierScore.toFixed(3)} · Log loss ${cal.logLoss.toFixed(3)} · n=${cal.sampleSize}`
+            : '';
+    }
+    
+    if (cal.curve.length === 0) return;
+    
+    const maxCount = Math.max(...cal.curve.map(b => b.count));
+    
+    calibrationChart = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'Perfect calibration',
+                    type: 'line',
+                    data: [{ x: 0, y: 0 }, { x: 100, y: 100 }],
+                    borderColor: chartColors.muted,
+                    borderDash: [4, 3],
+                    borderWidth: 1,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Your entries',
+                    data: cal.curve.map(b => ({ x: b.implied * 100, y: b.realized * 100, count: b.count })),
+                    backgroundColor: cal.curve.map(b =>
+                        b.realized >= b.implied ? chartColors.success + 'b0' : chartColors.danger + 'b0'
+                    ),
+                    borderWidth: 0,
+                    pointRadius: cal.curve.map(b => 3 + 7 * Math.sqrt(b.count / maxCount))
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    filter: item => item.datasetIndex === 1,
+                    callbacks: {
+                        label: ctx => `Paid ${ctx.raw.x.toFixed(0)}¢ → won ${ctx.raw.y.toFixed(0)}% (n=${ctx.raw.count})`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    min: 0,
+                    max: 100,
+                    grid: { color: chartColors.grid },
+                    title: { display: true, text: 'Implied probability (entry price)' },
+                    ticks: { callback: v => v + '¢' }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    grid: { color: chartColors.grid },
+                    title: { display: true, text: 'Outcome hit rate' },
+                    ticks: { callback: v => v + '%' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Underwater (Drawdown) Chart
+ */
+function createUnderwaterChart(stats) {
+    const ctx = document.getElementById('underwater-chart');
+    if (!ctx) return;
+    
+    if (underwaterChart) {
+        underwaterChart.destroy();
+        underwaterChart = null;
+    }
+    if (!stats.underwater || stats.underwater.length === 0) return;
+    
+    const data = stats.underwater.map(p => ({
+        date: getDateKey(p.date / 1000),
+        value: p.drawdown
+    }));
+    
+    underwaterChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.map(d => d.date),
+            datasets: [{
+                label: 'Drawdown',
+                data: data.map(d => d.value),
+                borderColor: chartColors.danger,
+                backgroundColor: chartColors.danger + '30',
+                borderWidth: 1.5,
+                fill: 'origin',
+                stepped: true,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => {
+                            const pct = stats.underwater[ctx.dataIndex].drawdownPct;
+                            return `-$${Math.abs(ctx.raw).toFixed(2)}` + (pct !== null ? ` (${pct.toFixed(1)}%)` : '');
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: { maxTicksLimit: 8 }
+                },
+                y: {
+                    max: 0,
+                    grid: { color: chartColors.grid },
+                    ticks: {
+                        callback: v => '-$' + Math.abs(v).toFixed(0)
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Holding Period Histogram
+ */
+function createHoldingPeriodChart(stats) {
+    const ctx = document.getElementById('holding-period-chart');
+    if (!ctx || !stats.holdingPeriods) return;
+    
+    if (holdingPeriodChart) holdingPeriodChart.destroy();
+    
+    const data = Object.entries(stats.holdingPeriods.buckets);
+    if (data.every(([_, b]) => b.count === 0)) return;
+    
+    holdingPeriodChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.map(([name]) => name),
+            datasets: [{
+                label: 'Positions',
+                data: data.map(([_, b]) => b.count),
+                backgroundColor: data.map(([_, b]) =>
+                    b.totalPnl > 0 ? chartColors.success + '80' :
+                    b.totalPnl < 0 ? chartColors.danger + '80' :
+                    chartColors.muted + '80'
+                ),
+                borderWidth: 0,
+                borderRadius: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => {
+                            const b = data[ctx.dataIndex][1];
+                            return [
+                                `${b.count} positions`,
+                                `Win rate ${b.winRate.toFixed(0)}%`,
+                                `P&L ${b.totalPnl >= 0 ? '+' : '-'}$${Math.abs(b.totalPnl).toFixed(2)}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false }
+                },
+                y: {
+                    grid: { color: chartColors.grid },
+                    ticks: { precision: 0 }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Hour-by-weekday heatmap (HTML grid; Chart.js has no heatmap type)
+ * 
+ * Shades by trade count, by realized P&L of the positions opened in each
+ * hour, or by their win rate, in the app timezone.
+ */
+function renderTimingHeatmap(stats) {
+    const container = document.getElementById('timing-heatmap');
+    if (!container || !stats.timingHeatmap) return;
+    
+    document.getElementById('heatmap-timezone').textContent = getTimezoneLabel(stats.timeZone);
+    
+    const mode = appState.heatmapMode;
+    const cells = stats.timingHeatmap;
+    
+    // Win rate is shaded by its distance from a coin flip
+    const valueOf = cell => {
+        if (mode === 'pnl') return cell.pnl;
+        if (mode === 'winrate') return cell.closed > 0 ? cell.winRate - 50 : 0;
+        return cell.trades;
+    };
+    const maxAbs = mode === 'winrate' && cells.flat().some(cell => cell.closed > 0)
+        ? 50
+        : Math.max(...cells.flat().map(cell => Math.abs(valueOf(cell))), 0);
+    
+    if (maxAbs === 0) {
+        container.innerHTML = '<p class="no-data">No data</p>';
+        return;
+    }
+    
+    const shade = cell => {
+        const value = valueOf(cell);
+        if (value === 0) return 'transparent';
+        const color = mode === 'count' ? chartColors.primary : value > 0 ? chartColors.success : chartColors.danger;
+        const alpha = Math.round((0.15 + 0.85 * Math.abs(value) / maxAbs) * 255).toString(16).padStart(2, '0');
+        return color + alpha;
+    };
+    
+    const hourLabels = Array.from({ length: 24 }, (_, h) => `<div class="heatmap-hour">${h % 6 === 0 ? h : ''}</div>`).join('');
+    
+    const rows = cells.map((row, day) => `
+        <div class="heatmap-day">${WEEKDAY_NAMES[day].slice(0, 3)}</div>
+        ${row.map((cell, hour) => {
+            const pnl = `${cell.pnl >= 0 ? '+' : '-'}$${Math.abs(cell.pnl).toFixed(2)}`;
+            const winRate = cell.closed > 0 ? ` · ${cell.winRate.toFixed(0)}% of ${cell.closed} won` : '';
+            const title = `${WEEKDAY_NAMES[day]} ${String(hour).padStart(2, '0')}:00 · ${cell.trades} trades · ${pnl}${winRate}`;
+            return `<div class="heatmap-cell" style="background:${shade(cell)}" title="${title}"></div>`;
+        }).join('')}
+    `).join('');
+    
+    container.innerHTML = `<div class="heatmap-corner"></div>${hourLabels}${rows}`;
+}
+
+/**
+ * Market drilldown: outcome price history with the wallet's fills and average cost
+ * @param {Array} history - [{ timestamp, price }] from fetchPriceHistory
+ * @param {Array} fills - TRADE records for the outcome
+ * @param {Array} costSteps - [{ timestamp, avgCost }] after each fill
+ */
+function createMarketPriceChart(history, fills, costSteps) {
+    const ctx = document.getElementById('market-price-chart');
+    if (!ctx) return;
+    
+    if (marketPriceChart) marketPriceChart.destroy();
+    
+    const point = (timestamp, price) => ({ x: timestamp * 1000, y: price * 100 });
+    const marker = (side, color, rotation) => ({
+        label: side === 'BUY' ? 'Buys' : 'Sells',
+        type: 'scatter',
+        data: fills.filter(f => f.side === side).map(f => ({ ...point(f.timestamp, f.price), fill: f })),
+        backgroundColor: color,
+        borderColor: color,
+        pointStyle: 'triangle',
+        rotation,
+        pointRadius: 6,
+        pointHoverRadius: 8
+    });
+    
+    marketPriceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Price',
+                    data: history.map(h => point(h.timestamp, h.price)),
+                    borderColor: chartColors.primary,
+                    backgroundColor: chartColors.primary + '20',
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    tension: 0.2
+                },
+                {
+                    label: 'Avg cost',
+                    data: costSteps.filter(s => s.avgCost !== null).map(s => point(s.timestamp, s.avgCost)),
+                    borderColor: chartColors.warning,
+                    borderDash: [4, 4],
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    stepped: true
+                },
+                marker('BUY', chartColors.success, 0),
+                marker('SELL', chartColors.danger, 180)
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, labels: { boxWidth: 10 } },
+                tooltip: {
+                    callbacks: {
+                        // Axis ticks use the browser's zone; tooltips follow the app setting
+                        title: items => formatZonedDate(items[0].raw.x / 1000, {
+                            month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+                        }),
+                        label: ctx => {
+                            const fill = ctx.raw.fill;
+                            if (!fill) return `${ctx.dataset.label}: ${ctx.raw.y.toFixed(1)}¢`;
+                            return `${fill.side} ${(fill.size || 0).toFixed(2)} @ ${ctx.raw.y.toFixed(1)}¢ ($${(fill.usdcSize || 0).toFixed(2)})`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'time',
+                    grid: { display: false },
+                    ticks: { maxTicksLimit: 8 }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    grid: { color: chartColors.grid },
+                    ticks: { callback: v => v + '¢' }
+                }
+            }
+        }
+    });
+}
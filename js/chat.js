@@ -7,6 +7,9 @@
 // Chat history for context
 let chatHistory = [];
 
+// In-flight reply, so it can be cancelled
+let chatController = null;
+
 /**
  * Handle enter key in chat input
  */
@@ -25,13 +28,13 @@ function askQuickQuestion(question) {
 }
 
 /**
- * Send a chat message
+ * Send a chat message, streaming the reply into its bubble
  */
 async function sendChatMessage() {
     const input = document.getElementById('chat-input');
     const message = input.value.trim();
     
-    if (!message) return;
+    if (!message || chatController) return;
     
     if (!appState.stats) {
         showToast('Please analyze a wallet first');
@@ -47,104 +50,87 @@ async function sendChatMessage() {
     // Add to history
     chatHistory.push({ role: 'user', content: message });
     
-    // Show typing indicator
-    const typingId = showTypingIndicator();
+    // Empty reply bubble, filled as tokens arrive
+    const bubble = addChatMessage('assistant', '', true);
+    chatController = new AbortController();
+    setChatStreaming(true);
     
+    let reply = '';
     try {
-        const response = await fetch(`${API_URL}/api/chat`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                message,
-                stats: appState.stats,
-                history: chatHistory.slice(-6) // Last 6 messages for context
-            })
+        reply = await streamAI('/api/chat/stream', {
+            message,
+            stats: summarizeStatsForAI(appState.stats),
+            history: chatHistory.slice(-6), // Last 6 messages for context
+            wallet: appState.walletAddress
+        }, {
+            signal: chatController.signal,
+            onQuota: quota => renderQuota('chat-quota', quota),
+            onText: text => {
+                reply = text;
+                updateChatMessage(bubble, text, true);
+            }
         });
         
-        if (!response.ok) {
-            throw new Error('Failed to get response');
-        }
-        
-        const data = await response.json();
-        
-        // Remove typing indicator
-        removeTypingIndicator(typingId);
-        
-        // Add assistant message
-        addChatMessage('assistant', data.response);
+        updateChatMessage(bubble, reply);
         
         // Add to history
-        chatHistory.push({ role: 'assistant', content: data.response });
+        chatHistory.push({ role: 'assistant', content: reply });
         
     } catch (error) {
-        console.error('Chat error:', error);
-        removeTypingIndicator(typingId);
-        addChatMessage('assistant', 'Sorry, I encountered an error. Please try again.');
+        if (error.name === 'AbortError') {
+            // Keep the partial reply so the conversation still reads naturally
+            updateChatMessage(bubble, reply ? `${reply} [stopped]` : '[stopped]');
+            if (reply) chatHistory.push({ role: 'assistant', content: reply });
+        } else if (error.retryAfter) {
+            updateChatMessage(bubble, `You've reached the chat rate limit. Please wait ${formatWait(error.retryAfter)} before asking again.`);
+        } else {
+            console.error('Chat error:', error);
+            updateChatMessage(bubble, 'Sorry, I encountered an error. Please try again.');
+        }
+    } finally {
+        chatController = null;
+        setChatStreaming(false);
     }
 }
 
+/**
+ * Cancel the reply being generated
+ */
+function stopChatMessage() {
+    if (chatController) chatController.abort();
+}
+
+function setChatStreaming(streaming) {
+    document.getElementById('chat-send-btn').classList.toggle('hidden', streaming);
+    document.getElementById('chat-stop-btn').classList.toggle('hidden', !streaming);
+}
+
 /**
  * Add a message to the chat
+ * @returns {HTMLElement} - The message element, for streaming updates
  */
-function addChatMessage(role, content) {
+function addChatMessage(role, content, streaming = false) {
     const container = document.getElementById('chat-messages');
     
     const messageDiv = document.createElement('div');
-    messageDiv.className = `chat-message ${role}`;
-    
-    const avatar = role === 'user' ? '👤' : '🤖';
-    
-    // Convert markdown-style formatting
-    let formatted = content
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\n/g, '<br>');
-    
-    messageDiv.innerHTML = `
-        <div class="chat-avatar">${avatar}</div>
-        <div class="chat-bubble">${formatted}</div>
-    `;
-    
+    messageDiv.className = `chat-msg ${role === 'user' ? 'user' : 'bot'}`;
     container.appendChild(messageDiv);
     
-    // Scroll to bottom
-    container.scrollTop = container.scrollHeight;
+    updateChatMessage(messageDiv, content, streaming);
+    return messageDiv;
 }
 
 /**
- * Show typing indicator
+ * Re-render a message with its latest text
  */
-function showTypingIndicator() {
+function updateChatMessage(messageDiv, content, streaming = false) {
     const container = document.getElementById('chat-messages');
-    const id = 'typing-' + Date.now();
     
-    const typingDiv = document.createElement('div');
-    typingDiv.className = 'chat-message assistant typing';
-    typingDiv.id = id;
-    typingDiv.innerHTML = `
-        <div class="chat-avatar">🤖</div>
-        <div class="chat-bubble">
-            <div class="typing-dots">
-                <span></span><span></span><span></span>
-            </div>
-        </div>
-    `;
+    messageDiv.innerHTML = renderMarkdown(content);
+    messageDiv.classList.toggle('streaming', streaming);
     
-    container.appendChild(typingDiv);
+    // Scroll to bottom
     container.scrollTop = container.scrollHeight;
-    
-    return id;
-}
-
-/**
- * Remove typing indicator
- */
-function removeTypingIndicator(id) {
-    const element = document.getElementById(id);
-    if (element) {
-        element.remove();
-    }
 }
 
 /**
@@ -153,12 +139,5 @@ function removeTypingIndicator(id) {
 function clearChat() {
     chatHistory = [];
     const container = document.getElementById('chat-messages');
-    container.innerHTML = `
-        <div class="chat-message assistant">
-            <div class="chat-avatar">🤖</div>
-            <div class="chat-bubble">
-                Hi! I've analyzed your trading data. Ask me anything about your patterns, specific positions, or general trading advice.
-            </div>
-        </div>
-    `;
+    container.innerHTML = '<div class="chat-msg bot">Ask me anything about your trading patterns</div>';
 }
@@ -0,0 +1,452 @@
+/**
+ * costbasis.js - Cost Basis & Realized P&L Reconstruction
+ *
+ * Rebuilds realized P&L from raw activity instead of trusting the
+ * closed-positions endpoint, and reconciles the two.
+ */
+
+const COST_BASIS_METHODS = {
+    fifo: 'FIFO',
+    average: 'Average Cost'
+};
+
+// Differences smaller than this (in USDC) are treated as rounding
+const RECONCILE_TOLERANCE = 1;
+
+/**
+ * Key identifying one outcome of one market (matches closed positions)
+ */
+function getPositionKey(record) {
+    if (record.asset) return record.asset;
+    return `${record.conditionId}:${record.outcomeIndex ?? record.outcome}`;
+}
+
+/**
+ * Settlement prices for outcomes the API reports as closed
+ * @param {Array} closedPositions - Closed position records
+ * @returns {Object} - Map of position key to { price, timestamp }
+ */
+function getSettlementPrices(closedPositions) {
+    const settlements = {};
+
+    (closedPositions || []).forEach(p => {
+        if (p.curPrice === undefined || p.curPrice === null) return;
+        settlements[getPositionKey(p)] = {
+            price: p.curPrice,
+            timestamp: p.timestamp || (p.endDate ? Math.floor(new Date(p.endDate).getTime() / 1000) : null)
+        };
+    });
+
+    return settlements;
+}
+
+/**
+ * Walk the ledger chronologically and compute realized P&L per lot, market and day
+ * 
+ * Splits open lots on every outcome at an equal share of $1 (50¢ in a
+ * binary market), merges and redemptions close
+ * them, rewards are realized as-is. Conversions don't change P&L.
+ * @param {Array} activity - Normalized activity records (all types)
+ * @param {Object} options - { method: 'fifo' | 'average', settlements: from getSettlementPrices, timeZone for daily P&L,
+ *                             positions: open and closed position records, markets: metadata keyed by conditionId }
+ * @returns {Object} - Lots, per-market books, daily realized P&L and realization events
+ */
+function calculateCostBasis(activity, options = {}) {
+    const method = COST_BASIS_METHODS[options.method] ? options.method : 'fifo';
+    const settlements = options.settlements || {};
+
+    const books = {};
+    const lots = [];
+    const events = [];
+
+    // Oldest first; buys before sells within the same second
+    const ordered = [...activity].sort((a, b) => {
+        if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+        return (a.side === 'SELL' ? 1 : 0) - (b.side === 'SELL' ? 1 : 0);
+    });
+
+    // Every outcome of each market, so condition-level records reach sides that were never traded
+    const outcomeKeys = getMarketOutcomeKeys(ordered, options.positions, options.markets);
+
+    const getBook = (key, record) => {
+        if (!books[key]) {
+            books[key] = {
+                key,
+                conditionId: record.conditionId,
+                asset: record.asset,
+                outcome: record.outcome,
+                title: record.title,
+                openLots: [],
+                sharesBought: 0,
+                sharesSold: 0,
+                costBasis: 0,
+                proceeds: 0,
+                realizedPnl: 0,
+                unmatchedShares: 0,
+                lastPrice: record.price
+            };
+        }
+        return books[key];
+    };
+
+    const openLot = (book, record, shares, price) => {
+        const lot = {
+            id: lots.length,
+            key: book.key,
+            conditionId: book.conditionId,
+            openedAt: record.timestamp,
+            shares,
+            remaining: shares,
+            price,
+            realizedPnl: 0,
+            closures: []
+        };
+        lots.push(lot);
+        book.openLots.push(lot);
+        book.sharesBought += shares;
+        book.costBasis += shares * price;
+    };
+
+    ordered.forEach(record => {
+        const shares = record.size || 0;
+
+        if (record.type === 'TRADE') {
+            const book = getBook(getPositionKey(record), record);
+            book.lastPrice = record.price;
+
+            if (record.side === 'BUY') {
+                // Cost is the USDC actually paid, like proceeds on the sell side
+                const cost = record.usdcSize && shares > 0 ? record.usdcSize / shares : record.price;
+                openLot(book, record, shares, cost);
+            } else if (record.side === 'SELL') {
+                book.sharesSold += shares;
+                book.proceeds += record.usdcSize || shares * record.price;
+                closeShares(book, shares, record.price, record.timestamp, 'sell', method, events);
+            }
+        } else if (record.type === 'SPLIT' || record.type === 'MERGE') {
+            // One USDC splits into (or merges from) one share of each outcome,
+            // valued equally; assume binary when the outcome count is unknown
+            const outcomeCount = options.markets?.[record.conditionId]?.outcomes?.length;
+            const price = outcomeCount > 0 ? 1 / outcomeCount : 0.5;
+            (outcomeKeys[record.conditionId] || []).forEach(({ key, asset, outcome }) => {
+                const book = getBook(key, { ...record, asset, outcome });
+                if (record.type === 'SPLIT') {
+                    openLot(book, record, shares, price);
+                } else {
+                    book.sharesSold += shares;
+                    book.proceeds += shares * price;
+                    closeShares(book, shares, price, record.timestamp, 'merge', method, events);
+                }
+            });
+        } else if (record.type === 'REDEEM') {
+            redeemMarket(books, record, settlements, method, events);
+        } else if (record.type === 'REWARD') {
+            events.push({
+                timestamp: record.timestamp,
+                type: 'reward',
+                key: null,
+                conditionId: record.conditionId,
+                title: record.title,
+                outcome: null,
+                shares: 0,
+                price: 0,
+                costPerShare: 0,
+                cost: 0,
+                pnl: record.usdcSize || 0
+            });
+        }
+    });
+
+    // Outcomes the API reports as closed but which still hold shares here
+    // were resolved or redeemed, so settle them at the final price
+    Object.values(books).forEach(book => {
+        const settlement = settlements[book.key];
+        const open = getOpenShares(book);
+        if (!settlement || open <= 0) return;
+
+        closeShares(book, open, settlement.price, settlement.timestamp || book.openLots[0].openedAt, 'settle', method, events);
+    });
+
+    events.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Per-day realized P&L (dates in the app timezone)
+    const timeZone = options.timeZone || getTimezone();
+    const daily = {};
+    events.forEach(e => {
+        const day = getDateKey(e.timestamp, timeZone);
+        daily[day] = (daily[day] || 0) + e.pnl;
+    });
+
+    // Roll outcomes up into markets
+    const markets = {};
+    Object.values(books).forEach(book => {
+        book.openShares = getOpenShares(book);
+        book.avgCost = book.openShares > 0
+            ? book.openLots.reduce((sum, l) => sum + l.remaining * l.price, 0) / book.openShares
+            : 0;
+        delete book.openLots;
+
+        if (!markets[book.conditionId]) {
+            markets[book.conditionId] = {
+                conditionId: book.conditionId,
+                title: book.title,
+                realizedPnl: 0,
+                costBasis: 0,
+                proceeds: 0,
+                openShares: 0,
+                unmatchedShares: 0,
+                outcomes: []
+            };
+        }
+
+        const market = markets[book.conditionId];
+        market.realizedPnl += book.realizedPnl;
+        market.costBasis += book.costBasis;
+        market.proceeds += book.proceeds;
+        market.openShares += book.openShares;
+        market.unmatchedShares += book.unmatchedShares;
+        market.outcomes.push(book.key);
+    });
+
+    const totalRealizedPnL = events.reduce((sum, e) => sum + e.pnl, 0);
+
+    return {
+        method,
+        lots,
+        books,
+        markets,
+        daily,
+        events,
+        totalRealizedPnL
+    };
+}
+
+/**
+ * Every outcome of each market that has a split or merge, by outcome index
+ * 
+ * Traded outcomes and position records give the real asset ids; the rest
+ * come from market metadata (token ids, else conditionId:index), and a
+ * market with no metadata is taken to be binary.
+ * @returns {Object} - Map of conditionId to [{ key, asset, outcome }]
+ */
+function getMarketOutcomeKeys(activity, positions = [], markets = {}) {
+    const byMarket = {};
+    activity.forEach(record => {
+        if (record.type === 'SPLIT' || record.type === 'MERGE') byMarket[record.conditionId] = {};
+    });
+
+    const getOutcomeNames = conditionId => {
+        const meta = markets[conditionId];
+        return meta && meta.outcomes && meta.outcomes.length > 0 ? meta.outcomes : ['Yes', 'No'];
+    };
+
+    const add = record => {
+        const known = byMarket[record.conditionId];
+        if (!known) return;
+        const index = record.outcomeIndex ?? getOutcomeNames(record.conditionId).indexOf(record.outcome);
+        const slot = index === -1 ? getPositionKey(record) : index;
+        if (!known[slot]) known[slot] = { key: getPositionKey(record), asset: record.asset || null, outcome: record.outcome };
+    };
+
+    activity.filter(record => record.type === 'TRADE').forEach(add);
+    (positions || []).forEach(add);
+
+    const outcomeKeys = {};
+    Object.entries(byMarket).forEach(([conditionId, known]) => {
+        const tokenIds = (markets[conditionId] && markets[conditionId].tokenIds) || [];
+
+        getOutcomeNames(conditionId).forEach((outcome, outcomeIndex) => {
+            add({ conditionId, outcomeIndex, outcome, asset: tokenIds[outcomeIndex] });
+        });
+        outcomeKeys[conditionId] = Object.values(known);
+    });
+
+    return outcomeKeys;
+}
+
+/**
+ * Close every open outcome of a market at redemption
+ * 
+ * Outcomes with a known final price settle at it; the rest of the payout
+ * is spread over the remaining shares.
+ */
+function redeemMarket(books, record, settlements, method, events) {
+    const marketBooks = Object.values(books).filter(b => b.conditionId === record.conditionId && getOpenShares(b) > 0);
+    if (marketBooks.length === 0) return;
+
+    let payout = record.usdcSize || 0;
+    const unknown = [];
+
+    marketBooks.forEach(book => {
+        const settlement = settlements[book.key];
+        if (settlement) {
+            payout -= getOpenShares(book) * settlement.price;
+        } else {
+            unknown.push(book);
+        }
+    });
+
+    const unknownShares = unknown.reduce((sum, b) => sum + getOpenShares(b), 0);
+    const fallbackPrice = unknownShares > 0 ? Math.min(Math.max(payout / unknownShares, 0), 1) : 0;
+
+    marketBooks.forEach(book => {
+        const price = settlements[book.key] ? settlements[book.key].price : fallbackPrice;
+        const open = getOpenShares(book);
+        book.sharesSold += open;
+        book.proceeds += open * price;
+        closeShares(book, open, price, record.timestamp, 'redeem', method, events);
+    });
+}
+
+/**
+ * Close shares against a book's open lots
+ */
+function closeShares(book, shares, price, timestamp, type, method, events) {
+    let toClose = shares;
+    const open = getOpenShares(book);
+
+    // Selling more than we hold means history is missing (or shares came
+    // from a split); the extra shares have no known cost
+    if (toClose > open) {
+        book.unmatchedShares += toClose - open;
+        toClose = open;
+    }
+    if (toClose <= 0) return;
+
+    const avgCost = book.openLots.reduce((sum, l) => sum + l.remaining * l.price, 0) / open;
+    let pnl = 0;
+    let cost = 0;
+
+    if (method === 'average') {
+        // Reduce every open lot pro rata at the average cost
+        const fraction = toClose / open;
+        book.openLots.forEach(lot => {
+            const take = lot.remaining * fraction;
+            cost += take * avgCost;
+            pnl += recordClosure(lot, take, avgCost, price, timestamp, type);
+        });
+    } else {
+        for (const lot of book.openLots) {
+            if (toClose <= 0) break;
+            const take = Math.min(lot.remaining, toClose);
+            toClose -= take;
+            cost += take * lot.price;
+            pnl += recordClosure(lot, take, lot.price, price, timestamp, type);
+        }
+    }
+
+    book.openLots = book.openLots.filter(l => l.remaining > 1e-9);
+    book.realizedPnl += pnl;
+
+    events.push({
+        timestamp,
+        type,
+        key: book.key,
+        conditionId: book.conditionId,
+        title: book.title,
+        outcome: book.outcome,
+        shares: Math.min(shares, open),
+        price,
+        costPerShare: avgCost,
+        // Cost of the lots actually closed (differs from shares * avgCost under FIFO)
+        cost,
+        pnl
+    });
+}
+
+/**
+ * Record part of a lot being closed
+ */
+function recordClosure(lot, shares, costPerShare, exitPrice, timestamp, type) {
+    if (shares <= 0) return 0;
+
+    const pnl = (exitPrice - costPerShare) * shares;
+    lot.remaining -= shares;
+    lot.realizedPnl += pnl;
+    lot.closures.push({ closedAt: timestamp, shares, costPerShare, exitPrice, type, pnl });
+
+    return pnl;
+}
+
+function getOpenShares(book) {
+    return book.openLots.reduce((sum, l) => sum + l.remaining, 0);
+}
+
+/**
+ * Closed positions carrying the ledger's realized P&L
+ * 
+ * The API's figure is kept as apiRealizedPnl. Outcomes the ledger can't
+ * fully account for (no book, or shares sold that were never bought in the
+ * loaded history) keep the API figure.
+ * @param {Array} closedPositions - Closed position records
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @returns {Array} - Copies of the records with realizedPnl from the ledger
+ */
+function applyLedgerPnl(closedPositions, costBasis) {
+    return (closedPositions || []).map(p => {
+        const book = costBasis.books[getPositionKey(p)];
+        const complete = book && book.unmatchedShares <= 1e-6;
+        return {
+            ...p,
+            apiRealizedPnl: p.realizedPnl || 0,
+            realizedPnl: complete ? book.realizedPnl : p.realizedPnl || 0,
+            pnlSource: complete ? 'ledger' : 'api'
+        };
+    });
+}
+
+/**
+ * Compare ledger P&L with the closed-positions endpoint
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @param {Array} closedPositions - Closed position records
+ * @returns {Object} - Match counts and the outcomes that disagree
+ */
+function reconcileClosedPositions(costBasis, closedPositions, tolerance = RECONCILE_TOLERANCE) {
+    const mismatches = [];
+    let matched = 0;
+    let apiTotal = 0;
+    let ledgerTotal = 0;
+
+    (closedPositions || []).forEach(p => {
+        const key = getPositionKey(p);
+        const book = costBasis.books[key];
+        const apiPnl = p.realizedPnl || 0;
+        const ledgerPnl = book ? book.realizedPnl : 0;
+        const diff = ledgerPnl - apiPnl;
+
+        apiTotal += apiPnl;
+        ledgerTotal += ledgerPnl;
+
+        if (book && Math.abs(diff) <= tolerance) {
+            matched++;
+            return;
+        }
+
+        let reason = 'P&L differs';
+        if (!book) reason = 'No trades in history';
+        else if (book.unmatchedShares > 0) reason = 'Sold more shares than bought';
+        else if (book.openShares > 0) reason = 'Shares still open in ledger';
+
+        mismatches.push({
+            key,
+            conditionId: p.conditionId,
+            title: p.title,
+            outcome: p.outcome,
+            apiPnl,
+            ledgerPnl,
+            diff,
+            reason
+        });
+    });
+
+    mismatches.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+
+    return {
+        checked: (closedPositions || []).length,
+        matched,
+        mismatches,
+        flaggedMarkets: new Set(mismatches.map(m => m.conditionId)).size,
+        apiTotal,
+        ledgerTotal
+    };
+}
@@ -0,0 +1,250 @@
+/**
+ * drilldown.js - Per-Market Detail View
+ *
+ * Everything the wallet did in one market: fills over the market's price
+ * history, running position and average cost from the ledger, realized and
+ * unrealized P&L, and linked journal entries.
+ */
+
+// Only the latest request may draw (price history loads asynchronously)
+let marketDetailRequest = 0;
+
+/**
+ * Outcomes the wallet traded in a market, most traded first
+ * @returns {Array} - [{ key, asset, outcome, volume }]
+ */
+function getMarketOutcomes(conditionId) {
+    const outcomes = {};
+
+    appState.data.activity
+        .filter(a => a.type === 'TRADE' && a.conditionId === conditionId)
+        .forEach(t => {
+            const key = getPositionKey(t);
+            if (!outcomes[key]) outcomes[key] = { key, asset: t.asset, outcome: t.outcome, volume: 0 };
+            outcomes[key].volume += t.usdcSize || 0;
+        });
+
+    return Object.values(outcomes).sort((a, b) => b.volume - a.volume);
+}
+
+/**
+ * Open shares, their cost and realized P&L of one outcome just after a time
+ *
+ * Read from the ledger's lots and closures, so it follows the selected
+ * cost basis method.
+ */
+function getPositionStateAt(costBasis, key, timestamp) {
+    let shares = 0;
+    let cost = 0;
+
+    costBasis.lots.forEach(lot => {
+        if (lot.key !== key || lot.openedAt > timestamp) return;
+        const closed = lot.closures
+            .filter(c => c.closedAt <= timestamp)
+            .reduce((sum, c) => sum + c.shares, 0);
+        const remaining = Math.max(0, lot.shares - closed);
+        shares += remaining;
+        cost += remaining * lot.price;
+    });
+
+    const realized = costBasis.events
+        .filter(e => e.key === key && e.timestamp <= timestamp)
+        .reduce((sum, e) => sum + e.pnl, 0);
+
+    return { shares, cost, avgCost: shares > 1e-9 ? cost / shares : null, realized };
+}
+
+/**
+ * Latest known price of an outcome: open position mark, resolution, or last fill
+ */
+function getCurrentOutcomePrice(conditionId, outcome, fills) {
+    const position = appState.data.positions.find(p => getPositionKey(p) === outcome.key);
+    if (position && position.curPrice !== undefined) return position.curPrice;
+
+    const meta = (appState.data.markets || {})[conditionId];
+    if (meta && meta.resolvedOutcome) return meta.resolvedOutcome === outcome.outcome ? 1 : 0;
+
+    const trades = fills.filter(f => f.type === 'TRADE' && getPositionKey(f) === outcome.key);
+    return trades.length > 0 ? trades[trades.length - 1].price : null;
+}
+
+/**
+ * Open the detail view for a market
+ * @param {string} conditionId - Market to show
+ * @param {string} key - Outcome to focus (defaults to the most traded)
+ */
+function openMarketDetail(conditionId, key = null) {
+    if (!appState.data || !appState.stats) return;
+
+    document.getElementById('market-modal').classList.remove('hidden');
+    renderMarketDetail(conditionId, key);
+}
+
+function closeMarketModal() {
+    marketDetailRequest++;
+    document.getElementById('market-modal').classList.add('hidden');
+}
+
+/**
+ * Render the detail view, then load the price chart
+ */
+async function renderMarketDetail(conditionId, key = null) {
+    const request = ++marketDetailRequest;
+    const container = document.getElementById('market-detail');
+    const { costBasis } = appState.stats;
+
+    const fills = appState.data.activity
+        .filter(a => a.conditionId === conditionId)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const outcomes = getMarketOutcomes(conditionId);
+
+    if (fills.length === 0 || outcomes.length === 0) {
+        container.innerHTML = '<p class="no-data">No trades in this market</p>';
+        return;
+    }
+
+    const outcome = outcomes.find(o => o.key === key) || outcomes[0];
+    const meta = (appState.data.markets || {})[conditionId];
+    const title = fills.find(f => f.title)?.title || (meta && meta.question) || conditionId;
+
+    // Running state after each fill of this outcome (and market-wide records)
+    const rows = fills
+        .filter(f => f.type !== 'TRADE' || getPositionKey(f) === outcome.key)
+        .map(f => ({ fill: f, state: getPositionStateAt(costBasis, outcome.key, f.timestamp) }));
+
+    const final = getPositionStateAt(costBasis, outcome.key, Infinity);
+    const price = getCurrentOutcomePrice(conditionId, outcome, fills);
+    const unrealized = price !== null && final.shares > 1e-9 ? final.shares * price - final.cost : 0;
+
+    const signed = value => `<span class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}</span>`;
+    const cents = value => value === null ? '-' : `${(value * 100).toFixed(1)}¢`;
+
+    const tabs = outcomes.length > 1
+        ? `<div class="chart-toggle market-outcomes">${outcomes.map(o => `
+            <button class="${o.key === outcome.key ? 'active' : ''}" data-condition-id="${escapeAttribute(conditionId)}" data-key="${escapeAttribute(o.key)}" onclick="renderMarketDetail(this.dataset.conditionId, this.dataset.key)">${escapeHtml(o.outcome || '?')}</button>
+        `).join('')}</div>`
+        : '';
+
+    const link = meta && meta.eventSlug
+        ? `<a href="https://polymarket.com/event/${encodeURIComponent(meta.eventSlug)}" target="_blank" rel="noopener">Polymarket ↗</a>`
+        : '';
+
+    const journal = getJournalEntries().filter(e => e.marketId === conditionId);
+
+    container.innerHTML = `
+        <div class="market-detail-header">
+            <h3>${escapeHtml(title)}</h3>
+            <div class="market-detail-meta">
+                ${escapeHtml(getMarketCategory(fills[0], appState.data.markets))}
+                ${meta && meta.resolvedOutcome ? ` · Resolved ${escapeHtml(meta.resolvedOutcome)}` : ''}
+                ${link ? ` · ${link}` : ''}
+            </div>
+        </div>
+        ${tabs}
+        <div class="market-detail-stats">
+            <div><span class="label">Outcome</span><span class="value">${escapeHtml(outcome.outcome || '-')}</span></div>
+            <div><span class="label">Position</span><span class="value">${final.shares.toFixed(2)}</span></div>
+            <div><span class="label">Avg Cost</span><span class="value">${cents(final.avgCost)}</span></div>
+            <div><span class="label">Price</span><span class="value">${cents(price)}</span></div>
+            <div><span class="label">Realized</span><span class="value">${signed(final.realized)}</span></div>
+            <div><span class="label">Unrealized</span><span class="value">${signed(unrealized)}</span></div>
+        </div>
+        <div class="chart-wrap">
+            <canvas id="market-price-chart"></canvas>
+        </div>
+        <div class="chart-note" id="market-price-note">Loading price history...</div>
+        <div class="market-fills">
+            <table class="trades-table">
+                <thead>
+                    <tr><th>Time</th><th>Side</th><th>Price</th><th>Shares</th><th>USDC</th><th>Position</th><th>Avg Cost</th><th>Realized</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ fill, state }) => {
+                        const isTrade = fill.type === 'TRADE';
+                        const side = isTrade ? fill.side : (ACTIVITY_TYPES[fill.type]?.label || fill.type);
+                        return `
+                            <tr>
+                                <td>${formatZonedDate(fill.timestamp, { month: 'short', day: 'numeric', year: '2-digit', hour: '2-digit', minute: '2-digit' })}</td>
+                                <td class="${isTrade ? fill.side.toLowerCase() : ''}">${escapeHtml(side)}</td>
+                                <td>${isTrade ? cents(fill.price) : '-'}</td>
+                                <td>${fill.size ? fill.size.toFixed(2) : '-'}</td>
+                                <td>$${(fill.usdcSize || 0).toFixed(2)}</td>
+                                <td>${state.shares.toFixed(2)}</td>
+                                <td>${cents(state.avgCost)}</td>
+                                <td>${signed(state.realized)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <h3>Journal</h3>
+        ${journal.length > 0
+            ? journal.map(e => `
+                <div class="entry-card">
+                    <div class="entry-header">
+                        <span class="entry-date">${formatEntryDate(e.date)}</span>
+                    </div>
+                    <div class="entry-text">${escapeHtml(e.text)}</div>
+                    ${e.tags?.length ? `<div class="entry-tags">${e.tags.map(t => `<span class="entry-tag">${getTagDisplay(t)}</span>`).join('')}</div>` : ''}
+                </div>
+            `).join('')
+            : '<p class="no-data">No journal entries for this market</p>'}
+    `;
+
+    // Average cost steps after each fill of this outcome
+    const costSteps = rows
+        .filter(r => r.fill.type === 'TRADE')
+        .map(r => ({ timestamp: r.fill.timestamp, avgCost: r.state.avgCost }));
+    const outcomeFills = rows.map(r => r.fill).filter(f => f.type === 'TRADE');
+
+    let history = [];
+    let note = '';
+    try {
+        history = outcome.asset ? await fetchPriceHistory(outcome.asset) : [];
+        if (history.length === 0) note = 'No price history available; showing fills only.';
+    } catch (error) {
+        console.warn('Price history fetch failed:', error);
+        note = 'Price history could not be loaded; showing fills only.';
+    }
+
+    if (request !== marketDetailRequest) return;
+
+    document.getElementById('market-price-note').textContent = note;
+    createMarketPriceChart(history, outcomeFills, costSteps);
+}
+
+/**
+ * List a category's markets so one can be opened
+ */
+function openCategoryMarkets(category) {
+    if (!appState.data || !appState.stats) return;
+
+    marketDetailRequest++;
+    const { markets, activity } = appState.data;
+    const { costBasis } = appState.stats;
+
+    const byMarket = {};
+    activity.filter(a => a.type === 'TRADE').forEach(t => {
+        if (byMarket[t.conditionId] || getMarketCategory(t, markets) !== category) return;
+        const market = costBasis.markets[t.conditionId];
+        byMarket[t.conditionId] = { conditionId: t.conditionId, title: t.title, pnl: market ? market.realizedPnl : 0 };
+    });
+
+    const list = Object.values(byMarket).sort((a, b) => a.pnl - b.pnl);
+
+    document.getElementById('market-detail').innerHTML = `
+        <h3>${escapeHtml(category)} markets</h3>
+        <div class="mini-table">
+            ${list.length > 0
+                ? list.map(m => `
+                    <div class="mini-table-row clickable" data-condition-id="${escapeAttribute(m.conditionId)}" onclick="renderMarketDetail(this.dataset.conditionId)">
+                        <span class="cat">${escapeHtml(m.title || m.conditionId)}</span>
+                        <span class="pnl ${m.pnl >= 0 ? 'positive' : 'negative'}">${m.pnl >= 0 ? '+' : ''}$${m.pnl.toFixed(0)}</span>
+                    </div>
+                `).join('')
+                : '<p class="no-data">No markets</p>'}
+        </div>
+    `;
+    document.getElementById('market-modal').classList.remove('hidden');
+}
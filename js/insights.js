@@ -0,0 +1,138 @@
+/**
+ * insights.js - Saved AI Insights
+ *
+ * Each generated analysis is kept per wallet so it can be reopened,
+ * compared with the run before it and exported as JSON.
+ */
+
+const INSIGHTS_HISTORY_KEY = 'belief_mirror_insights_history';
+const INSIGHTS_HISTORY_LIMIT = 10;
+
+const INSIGHT_SECTIONS = [
+    { key: 'strengths', label: 'Strengths', icon: '💪' },
+    { key: 'weaknesses', label: 'Weaknesses', icon: '⚠️' },
+    { key: 'biases', label: 'Biases Detected', icon: '🧠' },
+    { key: 'recommendations', label: 'Recommendations', icon: '🎯' }
+];
+
+/**
+ * Saved runs by wallet: { [wallet]: [{ generatedAt, insights }] }, newest first
+ */
+function loadInsightsHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(INSIGHTS_HISTORY_KEY) || '{}');
+    } catch (error) {
+        console.warn('Ignoring unreadable insights history:', error);
+        return {};
+    }
+}
+
+function getInsightsHistory(wallet) {
+    return loadInsightsHistory()[wallet.toLowerCase()] || [];
+}
+
+/**
+ * Save a run, keeping the latest INSIGHTS_HISTORY_LIMIT per wallet
+ * @returns {Object} - The saved run
+ */
+function saveInsights(wallet, insights) {
+    const history = loadInsightsHistory();
+    const key = wallet.toLowerCase();
+    const run = { generatedAt: Date.now(), insights };
+
+    history[key] = [run, ...(history[key] || [])].slice(0, INSIGHTS_HISTORY_LIMIT);
+    localStorage.setItem(INSIGHTS_HISTORY_KEY, JSON.stringify(history));
+    return run;
+}
+
+function normalizeInsightTitle(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Compare a run with an earlier one, matching items by title within a section
+ * @returns {Object} - { [section]: { items: [{ item, isNew, previousMetrics }], dropped: [item] } }
+ */
+function diffInsights(current, previous) {
+    const diff = {};
+
+    INSIGHT_SECTIONS.forEach(({ key }) => {
+        const before = previous ? previous[key] || [] : [];
+        const beforeByTitle = {};
+        before.forEach(item => { beforeByTitle[normalizeInsightTitle(item.title)] = item; });
+
+        const currentTitles = new Set();
+        const items = (current[key] || []).map(item => {
+            const title = normalizeInsightTitle(item.title);
+            currentTitles.add(title);
+            const match = beforeByTitle[title];
+
+            // Metric values from the earlier run, where they changed
+            const previousMetrics = {};
+            if (match) {
+                match.metrics.forEach(m => {
+                    const now = item.metrics.find(c => c.name === m.name);
+                    if (now && now.value !== m.value) previousMetrics[m.name] = m.value;
+                });
+            }
+
+            return { item, isNew: !!previous && !match, previousMetrics };
+        });
+
+        diff[key] = {
+            items,
+            dropped: before.filter(item => !currentTitles.has(normalizeInsightTitle(item.title)))
+        };
+    });
+
+    return diff;
+}
+
+/**
+ * Download a run as JSON
+ */
+function exportInsights(wallet, run) {
+    const data = {
+        wallet,
+        generatedAt: new Date(run.generatedAt).toISOString(),
+        insights: run.insights
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `belief-mirror-insights-${getDateKey(run.generatedAt / 1000)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the saved run at an index of the wallet's history (0 = latest)
+ */
+function showSavedInsights(index = 0) {
+    if (!appState.walletAddress) return;
+
+    const history = getInsightsHistory(appState.walletAddress);
+    const run = history[Number(index)];
+    if (!run) return;
+
+    displayInsights(run, history[Number(index) + 1] || null, history);
+}
+
+/**
+ * Show the latest saved run for a freshly analyzed wallet, if there is one
+ */
+function initializeInsights(wallet) {
+    if (getInsightsHistory(wallet).length > 0) {
+        showSavedInsights(0);
+    } else {
+        document.getElementById('ai-insights').innerHTML = '<p class="no-data">Click "Generate Insights" for AI-powered analysis</p>';
+    }
+}
+
+function exportShownInsights() {
+    const select = document.getElementById('insights-history-select');
+    const run = getInsightsHistory(appState.walletAddress)[select ? Number(select.value) : 0];
+    if (run) exportInsights(appState.walletAddress, run);
+}
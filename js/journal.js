@@ -1,34 +1,21 @@
 /**
  * journal.js - Decision Journal with Calendar & Timezone Support
+ * 
+ * Dates are shown in the app-wide timezone (see timezone.js).
  */
 
 const JOURNAL_STORAGE_KEY = 'belief_mirror_journal';
 const CUSTOM_TAGS_KEY = 'belief_mirror_custom_tags';
-const TIMEZONE_KEY = 'belief_mirror_timezone';
 
 let selectedTags = [];
 let currentCalendarDate = new Date();
 let selectedCalendarDate = null;
-let currentTimezone = 'UTC';
 let marketTrades = {}; // Store trades by market for date selection
 
 /**
  * Initialize journal
  */
 function initializeJournal(data) {
-    // Load timezone
-    currentTimezone = localStorage.getItem(TIMEZONE_KEY) || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
-    const tzSelect = document.getElementById('timezone-select');
-    if (tzSelect) {
-        // Try to match saved timezone
-        for (let opt of tzSelect.options) {
-            if (opt.value === currentTimezone) {
-                opt.selected = true;
-                break;
-            }
-        }
-    }
-    
     // Build market trades map
     marketTrades = {};
     data.activity.forEach(trade => {
@@ -41,6 +28,7 @@ function initializeJournal(data) {
         }
         marketTrades[marketId].trades.push({
             timestamp: trade.timestamp,
+            type: trade.type,
             side: trade.side,
             price: trade.price,
             size: trade.size
@@ -55,8 +43,8 @@ function initializeJournal(data) {
         // Sort by most recent trade
         const sorted = Object.entries(marketTrades)
             .sort((a, b) => {
-                const aMax = Math.max(...a[1].trades.map(t => t.timestamp));
-                const bMax = Math.max(...b[1].trades.map(t => t.timestamp));
+                const aMax = a[1].trades.reduce((max, t) => Math.max(max, t.timestamp), 0);
+                const bMax = b[1].trades.reduce((max, t) => Math.max(max, t.timestamp), 0);
                 return bMax - aMax;
             })
             .slice(0, 50);
@@ -99,10 +87,14 @@ function onMarketSelect() {
     
     trades.sort((a, b) => b.timestamp - a.timestamp).forEach((trade, idx) => {
         const date = formatInTimezone(new Date(trade.timestamp * 1000));
-        const side = trade.side === 'BUY' ? '🟢 Buy' : '🔴 Sell';
         const opt = document.createElement('option');
         opt.value = trade.timestamp;
-        opt.textContent = `${date} - ${side} @ ${(trade.price * 100).toFixed(0)}¢`;
+        if (trade.type && trade.type !== 'TRADE') {
+            opt.textContent = `${date} - ${ACTIVITY_TYPES[trade.type]?.label || trade.type}`;
+        } else {
+            const side = trade.side === 'BUY' ? '🟢 Buy' : '🔴 Sell';
+            opt.textContent = `${date} - ${side} @ ${(trade.price * 100).toFixed(0)}¢`;
+        }
         tradeSelect.appendChild(opt);
     });
     
@@ -124,22 +116,15 @@ function formatInTimezone(date) {
 }
 
 /**
- * Change timezone
+ * Re-render journal dates after a timezone change
  */
-function changeTimezone() {
-    const newTz = document.getElementById('timezone-select').value;
-    currentTimezone = newTz;
-    localStorage.setItem(TIMEZONE_KEY, newTz);
-    
-    // Re-render everything
+function refreshJournalTimes() {
     renderCalendar();
     loadJournalEntries();
     
     // Update trade select if market selected
     const marketId = document.getElementById('journal-market-select').value;
     if (marketId) onMarketSelect();
-    
-    showToast('Timezone updated');
 }
 
 /**
@@ -0,0 +1,161 @@
+/**
+ * markdown.js - Safe Markdown Rendering
+ *
+ * Model output is untrusted: it can echo market titles or be steered by
+ * prompt injection. Text is escaped before any formatting is applied, and
+ * the resulting HTML is passed through an allow-list sanitizer.
+ */
+
+// Tags the renderer may emit, with the attributes each may keep
+const MARKDOWN_ALLOWED_TAGS = {
+    P: [], BR: [], STRONG: [], EM: [], CODE: [], PRE: [],
+    UL: [], OL: [], LI: [], BLOCKQUOTE: [], H4: [], H5: [], H6: [],
+    A: ['href']
+};
+
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Render inline formatting: `code`, **bold**, *italic* and [links](https://...)
+ */
+function formatInlineMarkdown(text) {
+    // Keep code spans aside so their contents aren't formatted
+    const codeSpans = [];
+    let html = escapeAttribute(text).replace(/`([^`\n]+)`/g, (_, code) => {
+        codeSpans.push(code);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+            MARKDOWN_SAFE_URL.test(url) ? `<a href="${url}">${label}</a>` : match)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codeSpans[i]}</code>`);
+}
+
+/**
+ * Convert markdown to HTML: paragraphs, headings, lists, quotes and fenced code
+ */
+function markdownToHtml(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(formatInlineMarkdown).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${formatInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code runs to the closing fence, or the end while still streaming
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+            blocks.push(`<pre><code>${escapeAttribute(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^\s*>\s?(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const tag = `h${heading[1].length + 3}`;
+            blocks.push(`<${tag}>${formatInlineMarkdown(heading[2])}</${tag}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (quote) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<blockquote>${formatInlineMarkdown(quote[1])}</blockquote>`);
+        } else if (list) {
+            // Continuation of the last list item
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            paragraph.push(line.trim());
+        }
+    }
+
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+/**
+ * Drop any element or attribute outside MARKDOWN_ALLOWED_TAGS, keeping text
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const clean = node => {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+
+            const allowed = child.nodeType === Node.ELEMENT_NODE && MARKDOWN_ALLOWED_TAGS[child.tagName];
+            if (!allowed) {
+                // Keep the readable text of unknown elements, but never script or style bodies
+                const keepText = child.nodeType === Node.ELEMENT_NODE && !['SCRIPT', 'STYLE'].includes(child.tagName);
+                if (keepText) child.replaceWith(document.createTextNode(child.textContent));
+                else child.remove();
+                return;
+            }
+
+            Array.from(child.attributes).forEach(attr => {
+                if (!allowed.includes(attr.name)) child.removeAttribute(attr.name);
+            });
+
+            if (child.tagName === 'A') {
+                if (!MARKDOWN_SAFE_URL.test(child.getAttribute('href') || '')) {
+                    child.removeAttribute('href');
+                } else {
+                    child.setAttribute('target', '_blank');
+                    child.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+
+            clean(child);
+        });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Render untrusted markdown as sanitized block HTML
+ */
+function renderMarkdown(text) {
+    return sanitizeHtml(markdownToHtml(text));
+}
+
+/**
+ * Render untrusted markdown without block elements, for one-line fields
+ */
+function renderInlineMarkdown(text) {
+    return sanitizeHtml(formatInlineMarkdown(String(text ?? '')));
+}
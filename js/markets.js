@@ -0,0 +1,164 @@
+/**
+ * markets.js - Market Metadata (Gamma API)
+ *
+ * Looks up official tags, event grouping, end dates, resolutions and
+ * volume for the markets a wallet traded, and caches them locally.
+ */
+
+const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
+const CLOB_API_BASE = 'https://clob.polymarket.com';
+
+// Condition ids per /markets request (keeps the URL well under limits)
+const MARKETS_PER_REQUEST = 50;
+
+// Resolved markets never change; open ones are refreshed after this long
+const MARKET_METADATA_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Minutes between price history points
+const PRICE_HISTORY_FIDELITY = 60;
+
+// Price histories fetched this session, by outcome token id
+const priceHistoryCache = {};
+
+/**
+ * Parse one of Gamma's JSON-encoded array fields ("[\"Yes\", \"No\"]")
+ */
+function parseGammaList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Reduce a Gamma market to the fields the stats use
+ * @param {Object} market - Raw /markets record
+ * @returns {Object} - Normalized metadata record (stored in the cache as-is)
+ */
+function normalizeMarketMetadata(market) {
+    const tags = (market.tags || []).map(t => t.slug || t.label).filter(Boolean);
+    const event = (market.events || [])[0] || null;
+    const outcomes = parseGammaList(market.outcomes);
+    const prices = parseGammaList(market.outcomePrices).map(Number);
+
+    // A closed market with an outcome priced at ~$1 has resolved to it
+    let resolvedOutcomeIndex = null;
+    if (market.closed) {
+        const winner = prices.findIndex(p => p >= 0.99);
+        if (winner !== -1) resolvedOutcomeIndex = winner;
+    }
+
+    return {
+        conditionId: market.conditionId,
+        slug: market.slug || null,
+        question: market.question || null,
+        tags,
+        legacyCategory: market.category || null,
+        eventId: event ? String(event.id) : null,
+        eventSlug: event ? event.slug : null,
+        eventTitle: event ? event.title : null,
+        endDate: market.endDate ? new Date(market.endDate).getTime() : null,
+        closed: !!market.closed,
+        outcomes,
+        // CLOB token ids, in the same order as outcomes (the activity `asset` field)
+        tokenIds: parseGammaList(market.clobTokenIds).map(String),
+        resolvedOutcomeIndex,
+        resolvedOutcome: resolvedOutcomeIndex !== null ? outcomes[resolvedOutcomeIndex] || null : null,
+        volume: Number(market.volumeNum ?? market.volume) || 0,
+        fetchedAt: Date.now()
+    };
+}
+
+/**
+ * Fetch metadata for a batch of markets from Gamma
+ * @param {Array} conditionIds - Up to MARKETS_PER_REQUEST condition ids
+ * @returns {Promise<Array>} - Normalized metadata records
+ */
+async function fetchMarketMetadata(conditionIds) {
+    const ids = conditionIds.map(id => `condition_ids=${encodeURIComponent(id)}`).join('&');
+    const url = `${GAMMA_API_BASE}/markets?${ids}&limit=${conditionIds.length}&include_tag=true`;
+
+    const response = await fetchWithRetry(url);
+    const data = await response.json();
+
+    return data.filter(m => m.conditionId).map(normalizeMarketMetadata);
+}
+
+/**
+ * Whether a cached metadata record should be fetched again
+ */
+function isMarketMetadataStale(record) {
+    if (!record) return true;
+    if (record.closed) return false;
+    return Date.now() - record.fetchedAt > MARKET_METADATA_TTL_MS;
+}
+
+/**
+ * Load metadata for every market, from the cache where possible
+ *
+ * Failures are not fatal: markets without metadata are categorized by
+ * title rules instead.
+ * @param {Array} conditionIds - Markets to look up
+ * @param {Function} onProgress - Called with { records } as batches arrive
+ * @returns {Promise<Object>} - { markets: map of conditionId to metadata, summary }
+ */
+async function loadMarketMetadata(conditionIds, onProgress = null) {
+    const ids = [...new Set(conditionIds.filter(Boolean))];
+    const cached = await getCachedMarkets(ids);
+    const toFetch = ids.filter(id => isMarketMetadataStale(cached[id]));
+
+    const markets = { ...cached };
+    let fetched = 0;
+    let failedBatches = 0;
+
+    for (let i = 0; i < toFetch.length; i += MARKETS_PER_REQUEST) {
+        const batch = toFetch.slice(i, i + MARKETS_PER_REQUEST);
+        try {
+            const records = await fetchMarketMetadata(batch);
+            records.forEach(r => { markets[r.conditionId] = r; });
+            await saveCachedMarkets(records);
+            fetched += records.length;
+        } catch (error) {
+            // Stale cached records are still better than none
+            console.warn('Market metadata fetch failed:', error);
+            failedBatches++;
+        }
+
+        if (onProgress) onProgress({ records: Math.min(i + MARKETS_PER_REQUEST, toFetch.length) });
+    }
+
+    return {
+        markets,
+        summary: {
+            requested: ids.length,
+            available: ids.filter(id => markets[id]).length,
+            fromCache: ids.length - toFetch.length,
+            fetched,
+            failedBatches
+        }
+    };
+}
+
+/**
+ * Price history for one outcome token from the CLOB API
+ * @param {string} tokenId - Outcome token id (the activity record's asset)
+ * @returns {Promise<Array>} - [{ timestamp (unix seconds), price }], oldest first
+ */
+async function fetchPriceHistory(tokenId) {
+    if (priceHistoryCache[tokenId]) return priceHistoryCache[tokenId];
+    
+    const url = `${CLOB_API_BASE}/prices-history?market=${encodeURIComponent(tokenId)}&interval=max&fidelity=${PRICE_HISTORY_FIDELITY}`;
+    const response = await fetchWithRetry(url);
+    const data = await response.json();
+    
+    const history = (data.history || [])
+        .map(point => ({ timestamp: Number(point.t), price: Number(point.p) }))
+        .filter(point => Number.isFinite(point.timestamp) && Number.isFinite(point.price))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    
+    priceHistoryCache[tokenId] = history;
+    return history;
+}
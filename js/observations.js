@@ -5,79 +5,182 @@
  * These are rule-based observations, not AI-generated.
  */
 
+const OBSERVATION_PREFS_KEY = 'belief_mirror_observation_prefs';
+
+// Things to act on come first, then strengths, then plain description
+const SENTIMENT_RANK = { negative: 0, positive: 1, neutral: 2 };
+
+// Severity runs from 1 (background) to 3 (worth acting on)
+const DEFAULT_SEVERITY = 1;
+
+// Evidence rows shown under each observation
+const EVIDENCE_LIMIT = 5;
+
+// US market hours are judged on the exchange's clock
+const US_MARKET_TIMEZONE = 'America/New_York';
+
+let currentObservations = [];
+let currentObservationData = null;
+
 /**
  * Generate observations based on trading statistics
+ * 
+ * Each rule runs with its effective thresholds (see rules.js) and is
+ * skipped when disabled.
  * @param {Object} stats - Calculated statistics
  * @param {Object} data - Raw data containing activity and positions
- * @returns {Array} - Array of observation objects
+ * @returns {Array} - Observations ({ id, rule, ruleId, title, detail, sentiment, severity, evidence, values, thresholds }), ranked
  */
 function generateObservations(stats, data) {
+    const rules = getEffectiveRules();
     const observations = [];
+    const add = (rule, obs, ruleId = rule) => {
+        if (!obs) return;
+        observations.push({
+            severity: DEFAULT_SEVERITY,
+            evidence: null,
+            values: {},
+            ...obs,
+            rule,
+            ruleId,
+            thresholds: rules[ruleId].thresholds,
+            id: getObservationId(rule, obs.title)
+        });
+    };
+    const run = (rule, generate) => {
+        if (rules[rule].enabled) add(rule, generate(stats, data, rules[rule].thresholds));
+    };
     
     // 1. Trading volume observation
-    observations.push(generateVolumeObservation(stats));
+    run('volume', generateVolumeObservation);
     
     // 2. Category preference observation
-    observations.push(generateCategoryObservation(stats));
+    run('category', generateCategoryObservation);
     
     // 3. Buy/Sell behavior observation
-    observations.push(generateBuySellObservation(stats));
+    run('buy-sell', generateBuySellObservation);
     
     // 4. Trading frequency observation
-    observations.push(generateFrequencyObservation(stats));
+    run('frequency', generateFrequencyObservation);
     
     // 5. Price range observation
-    observations.push(generatePriceRangeObservation(stats, data));
+    run('price-range', generatePriceRangeObservation);
     
     // 6. Timing observation
-    observations.push(generateTimingObservation(stats));
+    run('timing', generateTimingObservation);
+    
+    // 6b. Time windows that lose money
+    run('timing-edge', generateTimingEdgeObservation);
     
     // 7. Position sizing observation
-    observations.push(generatePositionSizeObservation(stats));
+    run('position-size', generatePositionSizeObservation);
     
     // 8. Current positions observation (if any)
-    if (stats.positions > 0) {
-        observations.push(generateCurrentPositionsObservation(stats, data));
-    }
-    
-    // 9. Win/Loss performance observation (NEW)
-    if (stats.totalResolved > 0) {
-        observations.push(generateWinLossObservation(stats));
-    }
-    
-    // 10. Category edge observation (NEW)
-    if (stats.totalResolved >= 5) {
-        observations.push(generateCategoryEdgeObservation(stats));
+    run('open-positions', generateCurrentPositionsObservation);
+    
+    // 9. Win/Loss performance observation
+    run('win-loss', generateWinLossObservation);
+    
+    // 10. Category edge observation
+    run('category-edge', generateCategoryEdgeObservation);
+    
+    // 11. Price range edge observation
+    run('price-range-edge', generatePriceRangeEdgeObservation);
+    
+    // 12. Holding period observation
+    run('holding-period', generateHoldingPeriodObservation);
+    
+    // 13-16. Changes between recent windows
+    run('win-rate-change', generateWinRateChangeObservation);
+    run('size-change', generateSizeChangeObservation);
+    run('category-mix-change', generateCategoryMixChangeObservation);
+    run('price-mix-change', generatePriceMixChangeObservation);
+    
+    // 17. Cognitive biases found in the ledger
+    if (rules.biases.enabled) {
+        detectBiases(stats, data, rules.biases.thresholds)
+            .filter(bias => bias.detected)
+            .forEach(bias => add(`bias-${bias.id}`, {
+                title: `🧠 ${bias.name}`,
+                detail: `Score ${bias.score}/100. ${bias.explanation}`,
+                sentiment: 'negative',
+                severity: bias.score >= 80 ? 3 : 2,
+                evidence: bias.evidence,
+                values: { score: bias.score, ...bias.metrics }
+            }, 'biases'));
     }
     
-    // 11. Price range edge observation (NEW)
-    if (stats.totalResolved >= 5) {
-        observations.push(generatePriceRangeEdgeObservation(stats));
-    }
-    
-    // Filter out null observations
-    return observations.filter(obs => obs !== null);
+    return rankObservations(observations);
+}
+
+/**
+ * Stable id for an observation: the rule plus which variant of it fired,
+ * so dismissing "Longshot Hunter" doesn't hide a later "Conservative Player"
+ */
+function getObservationId(rule, title) {
+    const variant = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${rule}:${variant}`;
+}
+
+/**
+ * Order observations by sentiment, then severity
+ */
+function rankObservations(observations) {
+    return [...observations].sort((a, b) =>
+        SENTIMENT_RANK[a.sentiment] - SENTIMENT_RANK[b.sentiment] || b.severity - a.severity);
+}
+
+/**
+ * Evidence built from activity records
+ */
+function tradeEvidence(label, trades) {
+    if (trades.length === 0) return null;
+    return { label, total: trades.length, trades: trades.slice(0, EVIDENCE_LIMIT) };
+}
+
+/**
+ * Evidence built from market-level records (closed or open positions)
+ */
+function marketEvidence(label, records, getPnl = r => r.realizedPnl) {
+    if (records.length === 0) return null;
+    return {
+        label,
+        total: records.length,
+        markets: records.slice(0, EVIDENCE_LIMIT).map(r => ({
+            conditionId: r.conditionId,
+            title: r.title,
+            pnl: getPnl(r)
+        }))
+    };
+}
+
+function getTrades(data) {
+    return data.activity.filter(a => a.type === 'TRADE');
+}
+
+function largestFirst(trades) {
+    return [...trades].sort((a, b) => (b.usdcSize || 0) - (a.usdcSize || 0));
 }
 
 /**
  * Generate volume-based observation
  */
-function generateVolumeObservation(stats) {
+function generateVolumeObservation(stats, data, t) {
     const { totalVolume, totalTrades, avgTradeSize } = stats;
     
     let sentiment = 'neutral';
     let title = 'Trading Activity Level';
     let detail = '';
     
-    if (totalVolume >= 100000) {
+    if (totalVolume >= t.highVolume) {
         sentiment = 'neutral';
         title = '💰 High-Volume Trader';
         detail = `You've traded ${formatCurrency(totalVolume)} across ${stats.totalTrades} trades. Your average trade size of ${formatCurrency(avgTradeSize)} suggests you're comfortable with significant positions.`;
-    } else if (totalVolume >= 10000) {
+    } else if (totalVolume >= t.activeVolume) {
         sentiment = 'neutral';
         title = '📊 Active Trader';
         detail = `With ${formatCurrency(totalVolume)} in total volume and ${stats.totalTrades} trades, you're an active participant in prediction markets.`;
-    } else if (totalVolume >= 1000) {
+    } else if (totalVolume >= t.growingVolume) {
         sentiment = 'neutral';
         title = '🌱 Growing Trader';
         detail = `You've traded ${formatCurrency(totalVolume)} so far. As you gain experience, your trading patterns will become clearer.`;
@@ -87,13 +190,13 @@ function generateVolumeObservation(stats) {
         detail = `You're just getting started with ${formatCurrency(totalVolume)} in total volume. More data will help identify your trading patterns.`;
     }
     
-    return { title, detail, sentiment };
+    return { title, detail, sentiment, evidence: tradeEvidence('Largest trades', largestFirst(getTrades(data))), values: { totalVolume } };
 }
 
 /**
  * Generate category preference observation
  */
-function generateCategoryObservation(stats) {
+function generateCategoryObservation(stats, data, t) {
     const { marketCategories } = stats;
     
     // Find top category
@@ -112,9 +215,9 @@ function generateCategoryObservation(stats) {
     let title = `🎯 ${topCategory} Focus`;
     let detail = '';
     
-    if (percentage >= 60) {
+    if (percentage >= t.strongFocusPct) {
         detail = `${percentage}% of your markets are in ${topCategory}. You have a strong preference for this category. Consider whether this concentration aligns with your actual knowledge advantage.`;
-    } else if (percentage >= 40) {
+    } else if (percentage >= t.notableFocusPct) {
         detail = `${topCategory} makes up ${percentage}% of your trading activity. You have a notable focus here, though you're also exploring other categories.`;
     } else {
         detail = `Your trading is distributed across categories, with ${topCategory} being slightly more common (${percentage}%). This diversification may reflect broad interests or systematic exploration.`;
@@ -127,13 +230,25 @@ function generateCategoryObservation(stats) {
         detail += ` ${secondCategory} is your second most active category at ${secondPercentage}%.`;
     }
     
-    return { title, detail, sentiment: 'neutral' };
+    // One row per market in the top category
+    const seen = new Set();
+    const markets = largestFirst(getTrades(data)).filter(t => {
+        if (seen.has(t.conditionId) || getMarketCategory(t, data.markets) !== topCategory) return false;
+        seen.add(t.conditionId);
+        return true;
+    });
+    
+    return {
+        title, detail, sentiment: 'neutral',
+        evidence: marketEvidence(`${topCategory} markets`, markets, () => null),
+        values: { topCategory, topCategoryPct: Number(percentage) }
+    };
 }
 
 /**
  * Generate buy/sell behavior observation
  */
-function generateBuySellObservation(stats) {
+function generateBuySellObservation(stats, data, t) {
     const { buys, sells, buyVolume, sellVolume } = stats;
     const total = buys + sells;
     
@@ -146,11 +261,11 @@ function generateBuySellObservation(stats) {
     let detail = '';
     let sentiment = 'neutral';
     
-    if (buyPct >= 70) {
+    if (buyPct >= t.builderBuyPct) {
         title = '📈 Position Builder';
         detail = `${buyPct}% of your trades are buys. You tend to accumulate positions rather than actively trade in and out. This could indicate conviction in your picks, or it could mean you're not taking profits when available.`;
         sentiment = 'neutral';
-    } else if (sellPct >= 70) {
+    } else if (sellPct >= t.profitTakerSellPct) {
         title = '📉 Active Profit-Taker';
         detail = `${sellPct}% of your trades are sells. You actively manage and exit positions. This could indicate disciplined profit-taking or quick loss-cutting.`;
         sentiment = 'neutral';
@@ -158,13 +273,16 @@ function generateBuySellObservation(stats) {
         detail = `Your trades are balanced: ${buyPct}% buys and ${sellPct}% sells. This suggests active position management with both entries and exits.`;
     }
     
-    return { title, detail, sentiment };
+    const side = buyPct < t.builderBuyPct && sellPct >= t.profitTakerSellPct ? 'SELL' : 'BUY';
+    const evidence = tradeEvidence(side === 'SELL' ? 'Recent sells' : 'Recent buys', getTrades(data).filter(t => t.side === side));
+    
+    return { title, detail, sentiment, evidence, values: { buyPct: Number(buyPct), sellPct: Number(sellPct) } };
 }
 
 /**
  * Generate trading frequency observation
  */
-function generateFrequencyObservation(stats) {
+function generateFrequencyObservation(stats, data, t) {
     const { tradingDays, firstTrade, lastTrade, tradesPerDay, totalTrades } = stats;
     
     if (!firstTrade || !lastTrade) return null;
@@ -177,10 +295,10 @@ function generateFrequencyObservation(stats) {
     let detail = '';
     let sentiment = 'neutral';
     
-    if (parseFloat(tradesPerDay) >= 5) {
+    if (parseFloat(tradesPerDay) >= t.highFrequencyPerDay) {
         title = '⚡ High-Frequency Trader';
         detail = `When you trade, you average ${tradesPerDay} trades per day. You were active on ${tradingDays} out of ${dayRange} days (${activeRatio}%). This high activity level requires significant attention and may increase transaction costs.`;
-    } else if (parseFloat(tradesPerDay) >= 2) {
+    } else if (parseFloat(tradesPerDay) >= t.regularPerDay) {
         title = '📊 Regular Trader';
         detail = `You average ${tradesPerDay} trades on active days, trading on ${tradingDays} out of ${dayRange} days (${activeRatio}%). This moderate pace allows for thoughtful decision-making.`;
     } else {
@@ -188,66 +306,87 @@ function generateFrequencyObservation(stats) {
         detail = `You trade selectively, averaging ${tradesPerDay} trades on active days. You were active on ${tradingDays} out of ${dayRange} days (${activeRatio}%). This patience could indicate careful market selection.`;
     }
     
-    return { title, detail, sentiment };
+    // Trades from the busiest day
+    const trades = getTrades(data);
+    const byDay = {};
+    trades.forEach(t => {
+        const day = getDateKey(t.timestamp, stats.timeZone);
+        (byDay[day] = byDay[day] || []).push(t);
+    });
+    const [busiestDay, busiest] = Object.entries(byDay).sort((a, b) => b[1].length - a[1].length)[0] || [null, []];
+    
+    return {
+        title, detail, sentiment,
+        evidence: tradeEvidence(`Busiest day (${busiestDay})`, busiest),
+        values: { tradesPerDay: parseFloat(tradesPerDay), tradingDays, dayRange }
+    };
 }
 
 /**
  * Generate price range observation
  */
-function generatePriceRangeObservation(stats, data) {
+function generatePriceRangeObservation(stats, data, t) {
     const { activity } = data;
     const trades = activity.filter(a => a.type === 'TRADE' && a.price !== undefined);
     
-    if (trades.length < 5) return null;
+    if (trades.length < t.minTrades) return null;
     
     // Categorize by price range
     const ranges = {
-        'low': 0,      // 0-20 cents
-        'mid': 0,      // 20-50 cents  
-        'high': 0,     // 50-80 cents
-        'extreme': 0   // 80-100 cents
+        'low': 0,      // up to lowMaxPrice
+        'mid': 0,      // up to midMaxPrice
+        'high': 0,     // up to highMaxPrice
+        'extreme': 0   // above highMaxPrice
+    };
+    
+    const getRange = price => {
+        if (price <= t.lowMaxPrice) return 'low';
+        if (price <= t.midMaxPrice) return 'mid';
+        if (price <= t.highMaxPrice) return 'high';
+        return 'extreme';
     };
     
     trades.forEach(trade => {
-        const price = trade.price;
-        if (price <= 0.20) ranges.low++;
-        else if (price <= 0.50) ranges.mid++;
-        else if (price <= 0.80) ranges.high++;
-        else ranges.extreme++;
+        ranges[getRange(trade.price)]++;
     });
     
     const total = trades.length;
     const dominant = Object.entries(ranges).sort((a, b) => b[1] - a[1])[0];
     const [rangeName, count] = dominant;
     const pct = ((count / total) * 100).toFixed(0);
+    const cents = price => `${Math.round(price * 100)}¢`;
     
     let title = '🎲 Risk Preference';
     let detail = '';
     let sentiment = 'neutral';
     
-    if (rangeName === 'low' && pct >= 40) {
+    if (rangeName === 'low' && pct >= t.dominantPct) {
         title = '🎯 Longshot Hunter';
-        detail = `${pct}% of your trades are at odds below 20¢. You're drawn to low-probability, high-payoff opportunities. These can be profitable if you have genuine insight, but be aware of the inherent difficulty in predicting rare events.`;
-    } else if (rangeName === 'extreme' && pct >= 40) {
+        detail = `${pct}% of your trades are at odds below ${cents(t.lowMaxPrice)}. You're drawn to low-probability, high-payoff opportunities. These can be profitable if you have genuine insight, but be aware of the inherent difficulty in predicting rare events.`;
+    } else if (rangeName === 'extreme' && pct >= t.dominantPct) {
         title = '🛡️ Conservative Player';
-        detail = `${pct}% of your trades are at odds above 80¢. You prefer high-probability outcomes with smaller potential returns. This conservative approach limits downside but caps upside.`;
+        detail = `${pct}% of your trades are at odds above ${cents(t.highMaxPrice)}. You prefer high-probability outcomes with smaller potential returns. This conservative approach limits downside but caps upside.`;
     } else if (rangeName === 'mid') {
         title = '⚖️ Balanced Odds Seeker';
-        detail = `${pct}% of your trades are in the 20-50¢ range. You gravitate toward more uncertain outcomes where the market is genuinely split. This can be where the most alpha exists, but also where overconfidence is most dangerous.`;
+        detail = `${pct}% of your trades are in the ${cents(t.lowMaxPrice)}-${cents(t.midMaxPrice)} range. You gravitate toward more uncertain outcomes where the market is genuinely split. This can be where the most alpha exists, but also where overconfidence is most dangerous.`;
     } else {
         detail = `Your trades span various probability ranges, with ${pct}% in the ${rangeName} odds category. This diversification across risk levels may indicate opportunistic trading based on perceived value.`;
     }
     
-    return { title, detail, sentiment };
+    const evidence = tradeEvidence('Largest trades in this range', largestFirst(trades.filter(trade => getRange(trade.price) === rangeName)));
+    
+    return { title, detail, sentiment, evidence, values: { dominantRange: rangeName, dominantPct: Number(pct), trades: total } };
 }
 
 /**
  * Generate timing observation
  */
-function generateTimingObservation(stats) {
-    const { hourDistribution, dayDistribution } = stats;
+function generateTimingObservation(stats, data, t) {
+    const { hourDistribution, dayDistribution, timeZone } = stats;
+    const zone = getTimezoneLabel(timeZone);
+    const trades = getTrades(data);
     
-    // Find peak hour
+    // Find peak hour (in the app timezone)
     const peakHour = hourDistribution.indexOf(Math.max(...hourDistribution));
     const peakHourTrades = hourDistribution[peakHour];
     
@@ -265,36 +404,94 @@ function generateTimingObservation(stats) {
         return `${h - 12} PM`;
     };
     
-    detail = `Your most active trading hour is ${formatHour(peakHour)} UTC, and ${peakDay[0]} is your busiest day. `;
+    detail = `Your most active trading hour is ${formatHour(peakHour)} ${zone}, and ${peakDay[0]} is your busiest day. `;
     
-    // Check if trading correlates with US market hours (14-21 UTC)
-    const usHoursTrades = hourDistribution.slice(14, 21).reduce((a, b) => a + b, 0);
-    const totalTrades = hourDistribution.reduce((a, b) => a + b, 0);
-    const usHoursPct = totalTrades > 0 ? ((usHoursTrades / totalTrades) * 100).toFixed(0) : 0;
+    // Check if trading correlates with US market hours (thresholds are New York
+    // hours, so they follow daylight saving whatever timezone the dashboard shows)
+    const usHoursTrades = trades.filter(trade => {
+        const hour = getZonedParts(trade.timestamp, US_MARKET_TIMEZONE).hour;
+        return hour >= t.usHoursStart && hour < t.usHoursEnd;
+    }).length;
+    const usHoursPct = trades.length > 0 ? ((usHoursTrades / trades.length) * 100).toFixed(0) : 0;
     
-    if (usHoursPct >= 50) {
+    if (usHoursPct >= t.usHoursPct) {
         detail += `${usHoursPct}% of your trades occur during US market hours, suggesting you may be influenced by US news cycles.`;
     }
     
-    return { title, detail, sentiment: 'neutral' };
+    const peakTrades = trades.filter(trade => getZonedParts(trade.timestamp, timeZone).hour === peakHour);
+    
+    return {
+        title, detail, sentiment: 'neutral',
+        evidence: tradeEvidence(`Trades at ${formatHour(peakHour)} ${zone}`, peakTrades),
+        values: { peakHour, timeZone, peakDay: peakDay[0], usHoursPct: Number(usHoursPct) }
+    };
+}
+
+/**
+ * Generate losing time window observation
+ */
+function generateTimingEdgeObservation(stats, data, t) {
+    const { timingWindows, timeZone, costBasis } = stats;
+    if (!timingWindows || !costBasis) return null;
+    
+    // The four hour blocks cover every entry exactly once
+    const overall = timingWindows.slice(0, 4).reduce((acc, w) => {
+        acc.closed += w.closed;
+        acc.wins += w.wins;
+        return acc;
+    }, { closed: 0, wins: 0 });
+    if (overall.closed < t.minClosed) return null;
+    const overallWinRate = (overall.wins / overall.closed) * 100;
+    
+    const sampled = timingWindows.filter(w => w.closed >= t.minClosed);
+    const losing = sampled.filter(w => w.pnl < 0 && overallWinRate - w.winRate >= t.minWinRateGap);
+    if (losing.length === 0) return null;
+    
+    const worst = losing.reduce((a, b) => a.pnl < b.pnl ? a : b);
+    const best = sampled.reduce((a, b) => a.pnl > b.pnl ? a : b);
+    const zone = getTimezoneLabel(timeZone);
+    
+    let detail = `Positions you open in the ${worst.name} window (${zone}) have lost ${formatCurrency(Math.abs(worst.pnl))}, winning ${worst.winRate.toFixed(0)}% of ${worst.closed} closed entries against ${overallWinRate.toFixed(0)}% overall. `;
+    if (best.pnl > 0) {
+        detail += `Your best window is ${best.name} (${formatCurrency(best.pnl)}, ${best.winRate.toFixed(0)}% win rate). `;
+    }
+    detail += 'Consider skipping or sizing down trades at those times.';
+    
+    const timeWindow = TIMING_WINDOWS.find(w => w.name === worst.name);
+    const losingEntries = getTrades(data).filter(trade => {
+        if (trade.side !== 'BUY') return false;
+        const book = costBasis.books[getPositionKey(trade)];
+        if (!book || book.realizedPnl >= 0) return false;
+        const { weekday, hour } = getZonedParts(trade.timestamp, timeZone);
+        return timeWindow.matches(weekday, hour);
+    });
+    
+    return {
+        title: `⏰ ${worst.name} Costs You`,
+        detail,
+        sentiment: 'negative',
+        severity: 2,
+        evidence: tradeEvidence(`Buys in this window that lost`, largestFirst(losingEntries)),
+        values: { window: worst.name, windowPnl: worst.pnl, windowWinRate: worst.winRate, overallWinRate, closedEntries: worst.closed }
+    };
 }
 
 /**
  * Generate position sizing observation
  */
-function generatePositionSizeObservation(stats) {
+function generatePositionSizeObservation(stats, data, t) {
     const { avgTradeSize, totalVolume, totalTrades } = stats;
     
-    if (totalTrades < 5) return null;
+    if (totalTrades < t.minTrades) return null;
     
     let title = '📏 Position Sizing';
     let detail = '';
     let sentiment = 'neutral';
     
-    if (avgTradeSize >= 500) {
+    if (avgTradeSize >= t.largeSize) {
         title = '🐋 Large Position Trader';
         detail = `Your average trade is ${formatCurrency(avgTradeSize)}. Large positions can amplify both gains and losses. Consider whether your conviction truly justifies this sizing.`;
-    } else if (avgTradeSize >= 100) {
+    } else if (avgTradeSize >= t.moderateSize) {
         title = '📊 Moderate Position Trader';
         detail = `Your average trade size is ${formatCurrency(avgTradeSize)}. This moderate sizing allows for meaningful returns while managing risk.`;
     } else {
@@ -302,16 +499,18 @@ function generatePositionSizeObservation(stats) {
         detail = `Your average trade is ${formatCurrency(avgTradeSize)}. Small positions limit risk but also cap potential profits. As you develop conviction, you might consider scaling up selectively.`;
     }
     
-    return { title, detail, sentiment };
+    return { title, detail, sentiment, evidence: tradeEvidence('Largest trades', largestFirst(getTrades(data))), values: { avgTradeSize, totalTrades } };
 }
 
 /**
  * Generate current positions observation
  */
-function generateCurrentPositionsObservation(stats, data) {
+function generateCurrentPositionsObservation(stats, data, t) {
     const { positions } = data;
     const { totalPositionValue, totalUnrealizedPnL } = stats;
     
+    if (positions.length === 0 || positions.length < t.minPositions) return null;
+    
     const profitablePositions = positions.filter(p => (p.cashPnl || 0) > 0).length;
     const losingPositions = positions.filter(p => (p.cashPnl || 0) < 0).length;
     
@@ -329,15 +528,26 @@ function generateCurrentPositionsObservation(stats, data) {
         detail = `You have ${positions.length} open positions worth ${formatCurrency(totalPositionValue)}. Your portfolio is currently at breakeven.`;
     }
     
-    return { title, detail, sentiment };
+    // Biggest movers in the direction that drives the observation
+    const sorted = [...positions].sort((a, b) => totalUnrealizedPnL < 0
+        ? (a.cashPnl || 0) - (b.cashPnl || 0)
+        : (b.cashPnl || 0) - (a.cashPnl || 0));
+    const evidence = marketEvidence(totalUnrealizedPnL < 0 ? 'Biggest unrealized losses' : 'Biggest unrealized gains', sorted, p => p.cashPnl || 0);
+    
+    return {
+        title, detail, sentiment, severity: sentiment === 'negative' ? 2 : 1, evidence,
+        values: { openPositions: positions.length, unrealizedPnl: totalUnrealizedPnL }
+    };
 }
 
 /**
  * Generate win/loss performance observation
  */
-function generateWinLossObservation(stats) {
+function generateWinLossObservation(stats, data, t) {
     const { winRate, totalResolved, totalRealizedPnL, profitFactor, avgWinAmount, avgLossAmount } = stats;
     
+    if (!totalResolved || totalResolved < t.minResolved) return null;
+    
     let title = '📈 Overall Performance';
     let detail = '';
     let sentiment = 'neutral';
@@ -346,7 +556,7 @@ function generateWinLossObservation(stats) {
         sentiment = 'positive';
         title = '✅ Profitable Track Record';
         
-        if (winRate >= 55) {
+        if (winRate >= t.goodWinRate) {
             detail = `You've made ${formatCurrency(totalRealizedPnL)} across ${totalResolved} resolved markets with a ${winRate.toFixed(1)}% win rate. Your above-average hit rate suggests good prediction calibration.`;
         } else {
             detail = `You've made ${formatCurrency(totalRealizedPnL)} across ${totalResolved} resolved markets despite a ${winRate.toFixed(1)}% win rate. Your profit factor of ${profitFactor.toFixed(2)} shows you're making more on wins than you lose on losses.`;
@@ -355,7 +565,7 @@ function generateWinLossObservation(stats) {
         sentiment = 'negative';
         title = '⚠️ Room for Improvement';
         
-        if (winRate < 45) {
+        if (winRate < t.poorWinRate) {
             detail = `You've lost ${formatCurrency(Math.abs(totalRealizedPnL))} across ${totalResolved} resolved markets with a ${winRate.toFixed(1)}% win rate. Consider whether you're overconfident in low-probability positions.`;
         } else {
             detail = `Despite a ${winRate.toFixed(1)}% win rate, you've lost ${formatCurrency(Math.abs(totalRealizedPnL))}. Your average loss (${formatCurrency(avgLossAmount)}) exceeds your average win (${formatCurrency(avgWinAmount)}). Consider tighter position sizing on uncertain bets.`;
@@ -364,20 +574,29 @@ function generateWinLossObservation(stats) {
         detail = `You're at breakeven across ${totalResolved} resolved markets with a ${winRate.toFixed(1)}% win rate.`;
     }
     
-    return { title, detail, sentiment };
+    const losing = totalRealizedPnL < 0;
+    const sorted = [...data.closedPositions].sort((a, b) => losing
+        ? (a.realizedPnl || 0) - (b.realizedPnl || 0)
+        : (b.realizedPnl || 0) - (a.realizedPnl || 0));
+    const evidence = marketEvidence(losing ? 'Biggest losses' : 'Biggest wins', sorted);
+    
+    return {
+        title, detail, sentiment, severity: sentiment === 'neutral' ? 1 : 3, evidence,
+        values: { totalResolved, winRate, realizedPnl: totalRealizedPnL }
+    };
 }
 
 /**
  * Generate category edge observation
  */
-function generateCategoryEdgeObservation(stats) {
+function generateCategoryEdgeObservation(stats, data, t) {
     const { winLossByCategory } = stats;
     
-    if (!winLossByCategory) return null;
+    if (!winLossByCategory || !stats.totalResolved || stats.totalResolved < t.minResolved) return null;
     
-    // Find best and worst categories with at least 3 trades
+    // Find best and worst categories with enough resolved markets
     const categories = Object.entries(winLossByCategory)
-        .filter(([_, data]) => data.count >= 3)
+        .filter(([_, data]) => data.count >= t.minCategoryCount)
         .map(([name, data]) => ({ name, ...data }));
     
     if (categories.length < 2) return null;
@@ -386,40 +605,48 @@ function generateCategoryEdgeObservation(stats) {
     const worst = categories.reduce((a, b) => a.winRate < b.winRate ? a : b);
     
     // Only show if there's a meaningful difference
-    if (best.winRate - worst.winRate < 15) return null;
+    if (best.winRate - worst.winRate < t.minSpread) return null;
     
     let title = '🎯 Category Edge';
     let sentiment = 'neutral';
     let detail = '';
     
-    if (best.winRate >= 60 && best.totalPnl > 0) {
+    if (best.winRate >= t.strongWinRate && best.totalPnl > 0) {
         sentiment = 'positive';
         detail = `You perform best in ${best.name} (${best.winRate.toFixed(0)}% win rate, ${formatCurrency(best.totalPnl)} profit). `;
     } else {
         detail = `Your strongest category is ${best.name} at ${best.winRate.toFixed(0)}% win rate. `;
     }
     
-    if (worst.winRate < 40 && worst.totalPnl < 0) {
+    if (worst.winRate < t.weakWinRate && worst.totalPnl < 0) {
         detail += `Consider avoiding ${worst.name} where you're at ${worst.winRate.toFixed(0)}% win rate with ${formatCurrency(worst.totalPnl)} in losses.`;
         if (sentiment !== 'positive') sentiment = 'negative';
     } else {
         detail += `${worst.name} is your weakest at ${worst.winRate.toFixed(0)}%.`;
     }
     
-    return { title, detail, sentiment };
+    const worstMarkets = data.closedPositions
+        .filter(p => getMarketCategory(p, data.markets) === worst.name)
+        .sort((a, b) => (a.realizedPnl || 0) - (b.realizedPnl || 0));
+    
+    return {
+        title, detail, sentiment, severity: 2,
+        evidence: marketEvidence(`${worst.name} results, worst first`, worstMarkets),
+        values: { best: best.name, bestWinRate: best.winRate, worst: worst.name, worstWinRate: worst.winRate }
+    };
 }
 
 /**
  * Generate price range edge observation
  */
-function generatePriceRangeEdgeObservation(stats) {
+function generatePriceRangeEdgeObservation(stats, data, t) {
     const { winLossByPriceRange } = stats;
     
-    if (!winLossByPriceRange) return null;
+    if (!winLossByPriceRange || !stats.totalResolved || stats.totalResolved < t.minResolved) return null;
     
     // Find ranges with meaningful data
     const ranges = Object.entries(winLossByPriceRange)
-        .filter(([_, data]) => data.count >= 3)
+        .filter(([_, data]) => data.count >= t.minRangeCount)
         .map(([name, data]) => ({ name, ...data }));
     
     if (ranges.length < 2) return null;
@@ -431,14 +658,17 @@ function generatePriceRangeEdgeObservation(stats) {
     let title = '🎲 Probability Sweet Spot';
     let sentiment = 'neutral';
     let detail = '';
+    let focus = worst;
     
     // Check for calibration issues
-    if (best.name.includes('Longshot') && best.winRate > 30) {
+    if (best.name.includes('Longshot') && best.winRate > t.longshotWinRate) {
         sentiment = 'positive';
         detail = `Impressive: you're hitting ${best.winRate.toFixed(0)}% on longshots (0-20¢). Either you have genuine edge in spotting undervalued outcomes, or this is a small sample size.`;
-    } else if (best.name.includes('Heavy Favorite') && best.winRate < 85) {
+        focus = best;
+    } else if (best.name.includes('Heavy Favorite') && best.winRate < t.favoriteWinRate) {
         sentiment = 'negative';
         detail = `Your heavy favorite picks (80-100¢) are winning at ${best.winRate.toFixed(0)}%, which is below what those prices imply. You may be overpaying for "safe" bets.`;
+        focus = best;
     } else if (mostProfitable.totalPnl > 0) {
         sentiment = 'positive';
         detail = `Your most profitable range is ${mostProfitable.name} with ${formatCurrency(mostProfitable.totalPnl)} in gains. Your worst is ${worst.name} at ${worst.winRate.toFixed(0)}% win rate.`;
@@ -446,24 +676,668 @@ function generatePriceRangeEdgeObservation(stats) {
         detail = `You perform best at ${best.name} (${best.winRate.toFixed(0)}% win rate) and struggle with ${worst.name} (${worst.winRate.toFixed(0)}%).`;
     }
     
-    return { title, detail, sentiment };
+    // Same bucketing as calculateWinLossByPriceRange
+    const inRange = Object.keys(winLossByPriceRange).indexOf(focus.name);
+    const bounds = [0, 0.20, 0.40, 0.60, 0.80, Infinity];
+    const focusMarkets = data.closedPositions
+        .filter(p => {
+            const price = p.avgPrice || 0;
+            return (inRange === 0 ? price >= 0 : price > bounds[inRange]) && price <= bounds[inRange + 1];
+        })
+        .sort((a, b) => (a.realizedPnl || 0) - (b.realizedPnl || 0));
+    
+    return {
+        title, detail, sentiment, severity: sentiment === 'negative' ? 2 : 1,
+        evidence: marketEvidence(`${focus.name} results`, focusMarkets),
+        values: { best: best.name, bestWinRate: best.winRate, worst: worst.name, worstWinRate: worst.winRate }
+    };
+}
+
+/**
+ * Generate holding period observation
+ */
+function generateHoldingPeriodObservation(stats, data, t) {
+    if (!stats.holdingPeriods || stats.holdingPeriods.positions.length < t.minPositions) return null;
+    
+    const { buckets } = stats.holdingPeriods;
+    
+    // Quick flips are anything exited within a day
+    const quick = ['Scalp (<1h)', 'Intraday (1-24h)'].reduce((acc, name) => {
+        acc.count += buckets[name].count;
+        acc.wins += buckets[name].wins;
+        acc.totalPnl += buckets[name].totalPnl;
+        return acc;
+    }, { count: 0, wins: 0, totalPnl: 0 });
+    quick.winRate = quick.count > 0 ? (quick.wins / quick.count) * 100 : 0;
+    
+    const held = buckets['Held to resolution'];
+    
+    let title = '⏳ Holding Period';
+    let detail = '';
+    let sentiment = 'neutral';
+    let evidenceBuckets = ['Scalp (<1h)', 'Intraday (1-24h)'];
+    
+    if (quick.count >= t.minBucketCount && held.count >= t.minBucketCount && quick.totalPnl < 0 && held.totalPnl > 0) {
+        title = '⏳ Quick Flips Cost You';
+        sentiment = 'negative';
+        detail = `Positions you exit within a day have lost ${formatCurrency(Math.abs(quick.totalPnl))} (${quick.winRate.toFixed(0)}% win rate over ${quick.count}), while positions held to resolution made ${formatCurrency(held.totalPnl)} (${held.winRate.toFixed(0)}% over ${held.count}). Your edge seems to be in the call, not the timing.`;
+    } else if (quick.count >= t.minBucketCount && held.count >= t.minBucketCount && quick.totalPnl > 0 && held.totalPnl < 0) {
+        title = '⚡ Nimble Trader';
+        sentiment = 'positive';
+        detail = `Quick flips have made ${formatCurrency(quick.totalPnl)} (${quick.winRate.toFixed(0)}% win rate over ${quick.count}), but positions held to resolution lost ${formatCurrency(Math.abs(held.totalPnl))} (${held.winRate.toFixed(0)}% over ${held.count}). You read short-term moves better than final outcomes.`;
+    } else {
+        const ranked = Object.entries(buckets)
+            .filter(([_, b]) => b.count >= t.minBucketCount)
+            .sort((a, b) => b[1].totalPnl - a[1].totalPnl);
+        
+        if (ranked.length < 2) return null;
+        
+        const [bestName, best] = ranked[0];
+        const [worstName, worst] = ranked[ranked.length - 1];
+        detail = `Your best holding style is ${bestName} (${formatCurrency(best.totalPnl)} P&L, ${best.winRate.toFixed(0)}% win rate). Your weakest is ${worstName} (${worst.winRate.toFixed(0)}% win rate).`;
+        evidenceBuckets = [worstName];
+    }
+    
+    const positions = stats.holdingPeriods.positions
+        .filter(p => evidenceBuckets.includes(p.bucket))
+        .sort((a, b) => a.pnl - b.pnl);
+    const evidence = marketEvidence(`${evidenceBuckets.join(' / ')} positions, worst first`, positions, p => p.pnl);
+    
+    return {
+        title, detail, sentiment, severity: sentiment === 'negative' ? 2 : 1, evidence,
+        values: { quickFlipPnl: quick.totalPnl, heldToResolutionPnl: held.totalPnl }
+    };
+}
+
+/**
+ * First comparison window (see calculatePeriodComparison) where both sides
+ * have enough data and the change clears the threshold
+ * @param {Function} hasSample - (window) => whether it has enough data
+ * @param {Function} measure - (current, previous) => { change, ... } or null
+ * @returns {Object|null} - { comparison, change, ... }
+ */
+function findPeriodShift(stats, hasSample, measure, minShift) {
+    for (const comparison of stats.periodComparison || []) {
+        if (!hasSample(comparison.current) || !hasSample(comparison.previous)) continue;
+        
+        const shift = measure(comparison.current, comparison.previous);
+        if (shift && Math.abs(shift.change) >= minShift) return { comparison, ...shift };
+    }
+    return null;
+}
+
+/**
+ * The share (pts) that moved most between two mixes
+ */
+function getLargestMixShift(current, previous) {
+    const names = new Set([...Object.keys(current), ...Object.keys(previous)]);
+    let largest = null;
+    
+    names.forEach(name => {
+        const change = (current[name] || 0) - (previous[name] || 0);
+        if (!largest || Math.abs(change) > Math.abs(largest.change)) {
+            largest = { name, change, from: previous[name] || 0, to: current[name] || 0 };
+        }
+    });
+    
+    return largest;
+}
+
+function getWindowTrades(data, period) {
+    return getTrades(data).filter(t => t.timestamp >= period.start && t.timestamp < period.end);
+}
+
+/**
+ * Generate win rate change observation
+ */
+function generateWinRateChangeObservation(stats, data, t) {
+    const shift = findPeriodShift(stats,
+        period => period.resolved >= t.minResolved,
+        (current, previous) => ({ change: current.winRate - previous.winRate }),
+        t.minShift);
+    
+    if (!shift) return null;
+    
+    const { comparison, change } = shift;
+    const { current, previous } = comparison;
+    const improving = change > 0;
+    
+    const title = improving ? '📈 Win Rate Improving' : '📉 Win Rate Slipping';
+    const detail = `Comparing ${comparison.label}, your win rate went from ${previous.winRate.toFixed(0)}% (${previous.resolved} resolved) to ${current.winRate.toFixed(0)}% (${current.resolved} resolved), with ${formatCurrency(current.realizedPnl)} realized in the latest window. ` +
+        (improving
+            ? 'Whatever you changed recently is working; note it down while it\'s fresh.'
+            : 'Check whether something changed in what or how you\'ve been trading.');
+    
+    const closed = data.closedPositions
+        .filter(p => {
+            const closedAt = getClosedTimestamp(p);
+            return closedAt >= current.start && closedAt < current.end;
+        })
+        .sort((a, b) => improving
+            ? (b.realizedPnl || 0) - (a.realizedPnl || 0)
+            : (a.realizedPnl || 0) - (b.realizedPnl || 0));
+    
+    return {
+        title, detail,
+        sentiment: improving ? 'positive' : 'negative',
+        severity: improving ? 1 : 2,
+        evidence: marketEvidence(improving ? 'Best results in the latest window' : 'Worst results in the latest window', closed),
+        values: { window: comparison.id, previousWinRate: previous.winRate, currentWinRate: current.winRate, change }
+    };
+}
+
+/**
+ * Generate position size change observation
+ */
+function generateSizeChangeObservation(stats, data, t) {
+    const shift = findPeriodShift(stats,
+        period => period.trades >= t.minTrades,
+        (current, previous) => previous.avgTradeSize > 0
+            ? { change: ((current.avgTradeSize - previous.avgTradeSize) / previous.avgTradeSize) * 100 }
+            : null,
+        t.minChangePct);
+    
+    if (!shift) return null;
+    
+    const { comparison, change } = shift;
+    const { current, previous } = comparison;
+    const sizingUp = change > 0;
+    
+    const title = sizingUp ? '🐋 Sizing Up' : '🪶 Sizing Down';
+    const detail = `Comparing ${comparison.label}, your average trade went from ${formatCurrency(previous.avgTradeSize)} to ${formatCurrency(current.avgTradeSize)} (${sizingUp ? '+' : ''}${change.toFixed(0)}%). ` +
+        (sizingUp
+            ? 'Make sure bigger positions reflect more conviction, not a need to make back recent losses.'
+            : 'Smaller positions limit damage while you reassess, but also cap what a good call can earn.');
+    
+    return {
+        title, detail, sentiment: 'neutral',
+        evidence: tradeEvidence('Largest trades in the latest window', largestFirst(getWindowTrades(data, current))),
+        values: { window: comparison.id, previousAvgSize: previous.avgTradeSize, currentAvgSize: current.avgTradeSize, changePct: change }
+    };
+}
+
+/**
+ * Generate category mix change observation
+ */
+function generateCategoryMixChangeObservation(stats, data, t) {
+    const shift = findPeriodShift(stats,
+        period => period.trades >= t.minTrades,
+        (current, previous) => getLargestMixShift(current.categoryMix, previous.categoryMix),
+        t.minShift);
+    
+    if (!shift) return null;
+    
+    const { comparison, name, change, from, to } = shift;
+    
+    const title = change > 0 ? `🔀 Moving Into ${name}` : `🔀 Moving Away From ${name}`;
+    const detail = `Comparing ${comparison.label}, ${name} went from ${from.toFixed(0)}% to ${to.toFixed(0)}% of the markets you traded. ` +
+        (change > 0
+            ? `Check your ${name} results before this becomes your main focus.`
+            : `If ${name} was where your edge was, make sure the move away is deliberate.`);
+    
+    const seen = new Set();
+    const markets = largestFirst(getWindowTrades(data, comparison.current)).filter(trade => {
+        if (seen.has(trade.conditionId) || getMarketCategory(trade, data.markets) !== name) return false;
+        seen.add(trade.conditionId);
+        return true;
+    });
+    
+    return {
+        title, detail, sentiment: 'neutral',
+        evidence: marketEvidence(`${name} markets in the latest window`, markets, () => null),
+        values: { window: comparison.id, category: name, previousSharePct: from, currentSharePct: to, change }
+    };
+}
+
+/**
+ * Generate price preference change observation
+ */
+function generatePriceMixChangeObservation(stats, data, t) {
+    const shift = findPeriodShift(stats,
+        period => period.trades >= t.minTrades,
+        (current, previous) => getLargestMixShift(current.priceMix, previous.priceMix),
+        t.minShift);
+    
+    if (!shift) return null;
+    
+    const { comparison, name, change, from, to } = shift;
+    
+    const title = change > 0 ? `🎲 More ${name}` : `🎲 Fewer ${name}`;
+    const detail = `Comparing ${comparison.label}, ${name} went from ${from.toFixed(0)}% to ${to.toFixed(0)}% of your trades. ` +
+        (name.startsWith('Longshots') && change > 0
+            ? 'Longshots are where overpaying is most common; check that your hit rate justifies the prices.'
+            : 'A change in the odds you take changes how often you should expect to be right.');
+    
+    const trades = getWindowTrades(data, comparison.current).filter(trade => getPriceRange(trade.price || 0) === name);
+    
+    return {
+        title, detail, sentiment: 'neutral',
+        evidence: tradeEvidence(`${name} trades in the latest window`, largestFirst(trades)),
+        values: { window: comparison.id, range: name, previousSharePct: from, currentSharePct: to, change }
+    };
+}
+
+/**
+ * Cognitive bias detectors
+ * 
+ * Deterministic checks over the trade ledger. Each detector returns
+ * { id, name, score (0-100), detected, explanation, evidence, metrics },
+ * or null when there isn't enough data to judge. Thresholds come from the
+ * 'biases' rule in rules.js.
+ */
+
+/**
+ * Run every bias detector
+ * @param {Object} stats - Calculated statistics (needs costBasis)
+ * @param {Object} data - Raw data containing activity, closed positions and market metadata
+ * @param {Object} t - Bias thresholds (defaults to the effective 'biases' rule)
+ * @returns {Array} - Detector results, strongest first
+ */
+function detectBiases(stats, data, t = getRuleThresholds('biases')) {
+    if (!stats.costBasis) return [];
+    
+    const trades = getTrades(data).sort((a, b) => a.timestamp - b.timestamp);
+    
+    return [
+        detectDispositionEffect(trades, stats.costBasis, data, t),
+        detectAveragingDown(trades, stats.costBasis, t),
+        detectRevengeTrading(trades, stats.costBasis, t),
+        detectWinStreakOvertrading(trades, data.closedPositions, t),
+        detectLongshotBias(trades, data, t)
+    ].filter(Boolean).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Map a value onto 0-100 between a neutral baseline and a "fully present" level
+ */
+function scaleBiasScore(value, baseline, full) {
+    return Math.round(Math.min(Math.max((value - baseline) / (full - baseline), 0), 1) * 100);
+}
+
+function makeBias(t, id, name, score, explanation, evidence, metrics) {
+    return { id, name, score, detected: score >= t.detectionScore, explanation, evidence, metrics };
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Disposition effect: realizing gains more readily than losses
+ * 
+ * Odean's measure: on every sale, count the realized gain or loss plus the
+ * paper gains and losses sitting in every other open position, then compare
+ * the proportion of gains realized (PGR) with the proportion of losses
+ * realized (PLR).
+ */
+function detectDispositionEffect(trades, costBasis, data, t) {
+    const steps = [
+        ...costBasis.lots.map(l => ({ timestamp: l.openedAt, order: 0, lot: l })),
+        ...trades.map(t => ({ timestamp: t.timestamp, order: 1, trade: t })),
+        ...costBasis.events.filter(e => e.key).map(e => ({ timestamp: e.timestamp, order: 2, event: e }))
+    ].sort((a, b) => a.timestamp - b.timestamp || a.order - b.order);
+    
+    const open = {};
+    const marks = {};
+    let realizedGains = 0;
+    let realizedLosses = 0;
+    let paperGains = 0;
+    let paperLosses = 0;
+    
+    steps.forEach(step => {
+        if (step.lot) {
+            const l = step.lot;
+            if (!open[l.key]) open[l.key] = { shares: 0, cost: 0 };
+            open[l.key].shares += l.shares;
+            open[l.key].cost += l.shares * l.price;
+        } else if (step.trade) {
+            marks[getPositionKey(step.trade)] = step.trade.price;
+        } else {
+            const e = step.event;
+            if (e.type === 'sell') {
+                if (e.pnl > 0) realizedGains++;
+                else if (e.pnl < 0) realizedLosses++;
+                
+                Object.entries(open).forEach(([key, o]) => {
+                    if (key === e.key || o.shares <= 1e-9 || marks[key] === undefined) return;
+                    const avgCost = o.cost / o.shares;
+                    if (marks[key] > avgCost) paperGains++;
+                    else if (marks[key] < avgCost) paperLosses++;
+                });
+            }
+            
+            const o = open[e.key];
+            if (o) {
+                o.shares -= e.shares;
+                o.cost -= e.cost;
+            }
+        }
+    });
+    
+    if (realizedGains + realizedLosses < t.minSample) return null;
+    
+    const pgr = realizedGains + paperGains > 0 ? realizedGains / (realizedGains + paperGains) : 0;
+    const plr = realizedLosses + paperLosses > 0 ? realizedLosses / (realizedLosses + paperLosses) : 0;
+    const score = scaleBiasScore(pgr - plr, 0, 0.2);
+    
+    // Winners sold below $1 in markets that went on to resolve in their favor
+    const resolved = getResolvedOutcomes(data.closedPositions);
+    const soldEarly = trades.filter(trade => trade.side === 'SELL' && trade.price < 0.99 &&
+        (resolved[getPositionKey(trade)] ?? getMetadataOutcome(trade, data.markets)) === 1);
+    
+    const explanation = `When you sell, you realize ${(pgr * 100).toFixed(0)}% of the gains available across your open positions but only ${(plr * 100).toFixed(0)}% of the losses. ` +
+        (score >= t.detectionScore
+            ? `You tend to lock in winners early and let losers ride${soldEarly.length > 0 ? `; ${soldEarly.length} sells were in outcomes that went on to pay $1` : ''}.`
+            : 'Gains and losses are realized at similar rates.');
+    
+    return makeBias(t, 'disposition', 'Disposition Effect', score, explanation,
+        tradeEvidence('Winners sold before resolving at $1', largestFirst(soldEarly)),
+        { pgr, plr, realizedGains, realizedLosses, paperGains, paperLosses });
+}
+
+/**
+ * Averaging down: adding to positions after the price has fallen, in
+ * markets that end up losing money
+ */
+function detectAveragingDown(trades, costBasis, t) {
+    const positions = {};
+    const averagingDown = [];
+    let addOnBuys = 0;
+    
+    trades.forEach(trade => {
+        const key = getPositionKey(trade);
+        const p = positions[key] || (positions[key] = { shares: 0, cost: 0 });
+        
+        if (trade.side === 'BUY') {
+            if (p.shares > 1e-9) {
+                addOnBuys++;
+                if (trade.price < (p.cost / p.shares) * (1 - t.averagingDownDrop)) averagingDown.push(trade);
+            }
+            p.shares += trade.size || 0;
+            p.cost += (trade.size || 0) * trade.price;
+        } else if (trade.side === 'SELL' && p.shares > 1e-9) {
+            const sold = Math.min(trade.size || 0, p.shares);
+            p.cost -= sold * (p.cost / p.shares);
+            p.shares -= sold;
+        }
+    });
+    
+    if (addOnBuys < t.minSample) return null;
+    
+    const keys = new Set(averagingDown.map(getPositionKey));
+    const losingKeys = new Set([...keys].filter(k => costBasis.books[k] && costBasis.books[k].realizedPnl < 0));
+    const share = averagingDown.length / addOnBuys;
+    const lossRate = keys.size > 0 ? losingKeys.size / keys.size : 0;
+    const lostOnThem = [...losingKeys].reduce((sum, k) => sum + costBasis.books[k].realizedPnl, 0);
+    
+    // Some averaging down is normal; it's a bias when it's common and usually loses
+    const score = Math.round(scaleBiasScore(share, 0.2, 0.6) * lossRate);
+    
+    const explanation = `${(share * 100).toFixed(0)}% of the times you added to a position, the price was at least ${Math.round(t.averagingDownDrop * 100)}% below your average cost. ` +
+        (keys.size > 0
+            ? `${losingKeys.size} of the ${keys.size} outcomes you averaged down into lost money, ${formatCurrency(Math.abs(lostOnThem))} in total.`
+            : 'You rarely add to positions that are underwater.');
+    
+    return makeBias(t, 'averaging-down', 'Averaging Down', score, explanation,
+        tradeEvidence('Buys below average cost in losing outcomes', largestFirst(averagingDown.filter(trade => losingKeys.has(getPositionKey(trade))))),
+        { addOnBuys, averagingDownBuys: averagingDown.length, share, lossRate, lostOnThem });
+}
+
+/**
+ * Revenge trading: sizing up on the next buy right after a realized loss
+ */
+function detectRevengeTrading(trades, costBasis, t) {
+    const buys = trades.filter(trade => trade.side === 'BUY' && trade.usdcSize > 0);
+    if (buys.length < t.minSample) return null;
+    
+    const typicalSize = median(buys.map(trade => trade.usdcSize));
+    const losses = costBasis.events.filter(e => e.key && e.pnl < 0);
+    const followUps = [];
+    const seen = new Set();
+    let i = 0;
+    
+    losses.forEach(loss => {
+        // Events and buys are both in time order, so walk them together
+        while (i < buys.length && buys[i].timestamp <= loss.timestamp) i++;
+        const next = buys[i];
+        if (!next || seen.has(next) || next.timestamp - loss.timestamp > t.revengeWindowHours * 3600) return;
+        
+        seen.add(next);
+        followUps.push({ trade: next, ratio: next.usdcSize / typicalSize });
+    });
+    
+    if (followUps.length < t.minSample) return null;
+    
+    const ratio = median(followUps.map(f => f.ratio));
+    const score = scaleBiasScore(ratio, 1, 2);
+    
+    const explanation = `Your first buy within ${t.revengeWindowHours}h of a realized loss is typically ${ratio.toFixed(1)}x your median buy (${formatCurrency(typicalSize)}), across ${followUps.length} losses. ` +
+        (score >= t.detectionScore
+            ? 'Sizing up to win it back is a classic revenge-trading pattern.'
+            : 'Losses don\'t seem to push your sizing up.');
+    
+    return makeBias(t, 'revenge', 'Revenge Trading', score, explanation,
+        tradeEvidence('Buys right after a loss, largest relative size first',
+            followUps.sort((a, b) => b.ratio - a.ratio).map(f => f.trade)),
+        { typicalSize, medianRatio: ratio, lossesFollowed: followUps.length });
+}
+
+/**
+ * Overtrading after win streaks: trading more often right after several wins in a row
+ */
+function detectWinStreakOvertrading(trades, closedPositions, t) {
+    if (trades.length < t.minSample) return null;
+    
+    const closedAt = getClosedTimestamp;
+    const ordered = [...(closedPositions || [])].sort((a, b) => closedAt(a) - closedAt(b));
+    
+    // Window starts when a streak reaches the configured length
+    const windowStarts = [];
+    let streak = 0;
+    ordered.forEach(p => {
+        streak = (p.realizedPnl || 0) > 0 ? streak + 1 : 0;
+        if (streak === t.winStreakLength) windowStarts.push(closedAt(p));
+    });
+    
+    if (windowStarts.length < 2) return null;
+    
+    const spanDays = Math.max(1, (trades[trades.length - 1].timestamp - trades[0].timestamp) / 86400);
+    const baselinePerDay = trades.length / spanDays;
+    const windowSeconds = t.winStreakWindowDays * 86400;
+    
+    const inWindows = trades.filter(trade => windowStarts.some(start => trade.timestamp > start && trade.timestamp <= start + windowSeconds));
+    const perDay = inWindows.length / (windowStarts.length * t.winStreakWindowDays);
+    const ratio = baselinePerDay > 0 ? perDay / baselinePerDay : 0;
+    const score = scaleBiasScore(ratio, 1, 2.5);
+    
+    const explanation = `In the ${t.winStreakWindowDays} days after ${windowStarts.length} streaks of ${t.winStreakLength}+ wins, you made ${perDay.toFixed(1)} trades a day versus ${baselinePerDay.toFixed(1)} normally. ` +
+        (score >= t.detectionScore
+            ? 'Winning streaks seem to raise your confidence and your trading pace.'
+            : 'Your pace stays steady after wins.');
+    
+    return makeBias(t, 'win-streak', 'Overtrading After Wins', score, explanation,
+        tradeEvidence('Trades right after a winning streak', largestFirst(inWindows)),
+        { streaks: windowStarts.length, tradesPerDayAfter: perDay, tradesPerDay: baselinePerDay, ratio });
+}
+
+/**
+ * Longshot bias: paying more for low-probability outcomes than they win
+ */
+function detectLongshotBias(trades, data, t) {
+    const buys = trades.filter(trade => trade.side === 'BUY' && trade.price > 0 && trade.price < 1);
+    const resolved = getResolvedOutcomes(data.closedPositions);
+    const longshots = buys
+        .filter(trade => trade.price < t.longshotPrice)
+        .map(trade => ({ trade, outcome: resolved[getPositionKey(trade)] ?? getMetadataOutcome(trade, data.markets) }))
+        .filter(l => l.outcome !== undefined);
+    
+    if (longshots.length < t.minSample * 2) return null;
+    
+    const avgPrice = longshots.reduce((sum, l) => sum + l.trade.price, 0) / longshots.length;
+    const hitRate = longshots.reduce((sum, l) => sum + l.outcome, 0) / longshots.length;
+    const share = buys.filter(trade => trade.price < t.longshotPrice).length / buys.length;
+    
+    // Overpaying matters more the more of your buys are longshots
+    const score = Math.round(scaleBiasScore(avgPrice - hitRate, 0, 0.08) * Math.min(1, share / 0.2));
+    
+    const explanation = `${(share * 100).toFixed(0)}% of your buys are under ${Math.round(t.longshotPrice * 100)}¢. Across ${longshots.length} resolved longshots you paid ${(avgPrice * 100).toFixed(1)}¢ on average but they paid out ${(hitRate * 100).toFixed(1)}% of the time. ` +
+        (avgPrice > hitRate
+            ? 'You are paying more for longshots than they are worth.'
+            : 'Your longshots have paid out at least as often as their prices implied.');
+    
+    return makeBias(t, 'longshot', 'Longshot Bias', score, explanation,
+        tradeEvidence('Longshot buys that lost', largestFirst(longshots.filter(l => l.outcome === 0).map(l => l.trade))),
+        { resolvedLongshots: longshots.length, avgPrice, hitRate, share });
+}
+
+/**
+ * Dismissed and pinned observation ids
+ */
+function getObservationPrefs() {
+    try {
+        const prefs = JSON.parse(localStorage.getItem(OBSERVATION_PREFS_KEY) || '{}');
+        return { dismissed: prefs.dismissed || [], pinned: prefs.pinned || [] };
+    } catch {
+        return { dismissed: [], pinned: [] };
+    }
+}
+
+function saveObservationPrefs(prefs) {
+    localStorage.setItem(OBSERVATION_PREFS_KEY, JSON.stringify(prefs));
+}
+
+function toggleObservationPin(id) {
+    const prefs = getObservationPrefs();
+    prefs.pinned = prefs.pinned.includes(id) ? prefs.pinned.filter(p => p !== id) : [...prefs.pinned, id];
+    saveObservationPrefs(prefs);
+    renderObservations(currentObservations, currentObservationData);
+}
+
+function dismissObservation(id) {
+    const prefs = getObservationPrefs();
+    if (!prefs.dismissed.includes(id)) prefs.dismissed.push(id);
+    prefs.pinned = prefs.pinned.filter(p => p !== id);
+    saveObservationPrefs(prefs);
+    renderObservations(currentObservations, currentObservationData);
+}
+
+function restoreDismissedObservations() {
+    const prefs = getObservationPrefs();
+    prefs.dismissed = [];
+    saveObservationPrefs(prefs);
+    renderObservations(currentObservations, currentObservationData);
+}
+
+/**
+ * Render the evidence behind an observation as links
+ */
+function renderObservationEvidence(evidence, data) {
+    if (!evidence) return '';
+    
+    const markets = (data && data.markets) || {};
+    let rows = '';
+    
+    if (evidence.trades) {
+        rows = evidence.trades.map(t => {
+            const date = formatZonedDate(t.timestamp, { month: 'short', day: 'numeric', year: 'numeric' });
+            const label = `${date} · ${t.side || t.type} ${t.outcome || ''} @ ${(t.price * 100).toFixed(0)}¢ · ${formatCurrency(t.usdcSize || 0)}`;
+            const link = t.transactionHash
+                ? `<a href="https://polygonscan.com/tx/${encodeURIComponent(t.transactionHash)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`
+                : escapeHtml(label);
+            return `<li><span class="evidence-title">${escapeHtml(t.title || '')}</span>${link}</li>`;
+        }).join('');
+    } else if (evidence.markets) {
+        rows = evidence.markets.map(m => {
+            const meta = markets[m.conditionId];
+            const title = escapeHtml(m.title || m.conditionId);
+            const link = meta && meta.eventSlug
+                ? `<a href="https://polymarket.com/event/${encodeURIComponent(meta.eventSlug)}" target="_blank" rel="noopener">${title}</a>`
+                : title;
+            const pnl = m.pnl === null || m.pnl === undefined
+                ? ''
+                : `<span class="${m.pnl >= 0 ? 'positive' : 'negative'}">${m.pnl >= 0 ? '+' : ''}${formatCurrency(m.pnl)}</span>`;
+            return `<li>${link}${pnl}</li>`;
+        }).join('');
+    }
+    
+    const more = evidence.total > EVIDENCE_LIMIT ? ` (top ${EVIDENCE_LIMIT} of ${evidence.total})` : '';
+    
+    return `
+        <details class="observation-evidence">
+            <summary>${escapeHtml(evidence.label)}${more}</summary>
+            <ul>${rows}</ul>
+        </details>
+    `;
+}
+
+/**
+ * Render which rule fired, the values it saw and the thresholds it used
+ */
+function renderObservationRule(obs) {
+    const rule = OBSERVATION_RULES.find(r => r.id === obs.ruleId);
+    if (!rule) return '';
+    
+    const format = value => typeof value === 'number'
+        ? String(Number.isInteger(value) ? value : Number(value.toFixed(2)))
+        : String(value);
+    const pairs = values => Object.entries(values || {})
+        .map(([name, value]) => `<span class="rule-value">${escapeHtml(name)} <strong>${escapeHtml(format(value))}</strong></span>`)
+        .join('');
+    
+    return `
+        <details class="observation-rule">
+            <summary>Rule: ${escapeHtml(rule.name)}</summary>
+            <div class="rule-values"><span class="rule-values-label">Observed</span>${pairs(obs.values)}</div>
+            <div class="rule-values"><span class="rule-values-label">Thresholds</span>${pairs(obs.thresholds)}</div>
+        </details>
+    `;
 }
 
 /**
  * Render observations to the DOM
+ * 
+ * Pinned observations come first; dismissed ones are hidden until restored.
  */
-function renderObservations(observations) {
+function renderObservations(observations, data = null) {
     const container = document.getElementById('observations-container');
-    
-    if (observations.length === 0) {
-        container.innerHTML = '<p class="no-data">Not enough data to generate observations.</p>';
+    currentObservations = observations;
+    currentObservationData = data;
+    
+    const prefs = getObservationPrefs();
+    const visible = observations.filter(obs => !prefs.dismissed.includes(obs.id));
+    const pinned = visible.filter(obs => prefs.pinned.includes(obs.id));
+    const rest = visible.filter(obs => !prefs.pinned.includes(obs.id));
+    const hiddenCount = observations.length - visible.length;
+    
+    document.getElementById('observations-count').textContent = visible.length;
+    document.getElementById('observations-restore').classList.toggle('hidden', hiddenCount === 0);
+    document.getElementById('observations-restore').textContent = `Show ${hiddenCount} dismissed`;
+    
+    if (visible.length === 0) {
+        container.innerHTML = observations.length === 0
+            ? '<p class="no-data">Not enough data to generate observations.</p>'
+            : '<p class="no-data">All observations dismissed.</p>';
         return;
     }
     
-    container.innerHTML = observations.map(obs => `
-        <div class="observation ${obs.sentiment}">
-            <div class="observation-title">${obs.title}</div>
-            <div class="observation-detail">${obs.detail}</div>
-        </div>
-    `).join('');
+    container.innerHTML = [...pinned, ...rest].map(obs => {
+        const isPinned = prefs.pinned.includes(obs.id);
+        return `
+            <div class="observation ${obs.sentiment} severity-${obs.severity} ${isPinned ? 'pinned' : ''}">
+                <div class="observation-header">
+                    <div class="observation-title">${escapeHtml(obs.title)}</div>
+                    <div class="observation-actions">
+                        <button onclick="toggleObservationPin('${obs.id}')" title="${isPinned ? 'Unpin' : 'Pin to top'}">${isPinned ? '📌' : '📍'}</button>
+                        <button onclick="dismissObservation('${obs.id}')" title="Dismiss">✕</button>
+                    </div>
+                </div>
+                <div class="observation-detail">${escapeHtml(obs.detail)}</div>
+                ${renderObservationEvidence(obs.evidence, data)}
+                ${renderObservationRule(obs)}
+            </div>
+        `;
+    }).join('');
 }
@@ -0,0 +1,293 @@
+/**
+ * positions.js - Open Positions View
+ *
+ * Every open position with sorting, a dust threshold for tiny leftovers,
+ * exposure grouped by category and event, concentration, and countdowns
+ * to each market's end date.
+ */
+
+const DUST_THRESHOLD_KEY = 'belief_mirror_dust_threshold';
+const DEFAULT_DUST_THRESHOLD = 1;
+const EXPOSURE_GROUP_LIMIT = 6;
+
+const POSITION_SORTS = {
+    value: { label: 'Value', read: p => p.currentValue || 0 },
+    pnl: { label: 'P&L', read: p => getPositionPnl(p) },
+    pnlPct: { label: 'P&L %', read: p => p.initialValue > 0 ? getPositionPnl(p) / p.initialValue : 0 },
+    endDate: { label: 'End Date', read: p => p.endTime ?? Infinity }
+};
+
+const positionsView = {
+    sort: 'value',
+    dir: 'desc',
+    dustThreshold: loadDustThreshold()
+};
+
+// Ticks the countdowns while the view is on screen
+let positionsCountdownTimer = null;
+
+function loadDustThreshold() {
+    const saved = parseFloat(localStorage.getItem(DUST_THRESHOLD_KEY));
+    return Number.isFinite(saved) && saved >= 0 ? saved : DEFAULT_DUST_THRESHOLD;
+}
+
+function getPositionPnl(p) {
+    return (p.currentValue || 0) - (p.initialValue || 0);
+}
+
+/**
+ * Market end time in unix seconds, from Gamma metadata or the position itself
+ */
+function getPositionEndTime(position, markets = {}) {
+    const meta = markets[position.conditionId];
+    if (meta && meta.endDate) return Math.floor(meta.endDate / 1000);
+
+    const parsed = position.endDate ? Date.parse(position.endDate) : NaN;
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Exposure by category and event, plus concentration
+ * @param {Array} positions - Positions to include (already dust-filtered)
+ * @param {Object} markets - Market metadata keyed by conditionId
+ * @returns {Object} - { total, byCategory, byEvent, largest, largestShare, topFiveShare }
+ */
+function calculateExposure(positions, markets = {}) {
+    const total = positions.reduce((sum, p) => sum + (p.currentValue || 0), 0);
+
+    const group = keyOf => {
+        const groups = {};
+        positions.forEach(p => {
+            const { key, label } = keyOf(p);
+            if (!groups[key]) groups[key] = { label, value: 0, pnl: 0, count: 0 };
+            groups[key].value += p.currentValue || 0;
+            groups[key].pnl += getPositionPnl(p);
+            groups[key].count++;
+        });
+        return Object.values(groups)
+            .map(g => ({ ...g, share: total > 0 ? g.value / total : 0 }))
+            .sort((a, b) => b.value - a.value);
+    };
+
+    const byCategory = group(p => {
+        const category = getMarketCategory(p, markets);
+        return { key: category, label: category };
+    });
+
+    // Gamma's event when known, else the slug the positions API reports
+    const byEvent = group(p => {
+        const meta = markets[p.conditionId];
+        const key = (meta && meta.eventId) || p.eventSlug || p.conditionId;
+        const label = (meta && meta.eventTitle) || p.eventSlug || p.title || 'Unknown';
+        return { key, label };
+    });
+
+    const ranked = [...positions].sort((a, b) => (b.currentValue || 0) - (a.currentValue || 0));
+    const topFive = ranked.slice(0, 5).reduce((sum, p) => sum + (p.currentValue || 0), 0);
+
+    return {
+        total,
+        byCategory,
+        byEvent,
+        largest: ranked[0] || null,
+        largestShare: total > 0 && ranked[0] ? (ranked[0].currentValue || 0) / total : 0,
+        topFiveShare: total > 0 ? topFive / total : 0
+    };
+}
+
+/**
+ * Time left until a market's end date, e.g. "3d 4h" or "45m"
+ */
+function formatTimeToResolution(endTime, now = Date.now() / 1000) {
+    if (endTime === null) return 'No end date';
+
+    const seconds = endTime - now;
+    if (seconds <= 0) return 'Awaiting resolution';
+
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${Math.max(1, minutes)}m`;
+}
+
+/**
+ * Render the positions view
+ */
+function renderPositions(positions) {
+    const container = document.getElementById('positions-container');
+    const markets = (appState.data && appState.data.markets) || {};
+    const all = (positions || []).map(p => ({ ...p, endTime: getPositionEndTime(p, markets) }));
+    const shown = all.filter(p => (p.currentValue || 0) >= positionsView.dustThreshold);
+    const dust = all.length - shown.length;
+
+    document.getElementById('positions-count').textContent = shown.length;
+    document.getElementById('positions-dust-note').textContent = dust > 0
+        ? `${dust} under $${positionsView.dustThreshold} hidden`
+        : '';
+
+    const exposure = calculateExposure(shown, markets);
+    syncPositionControls();
+    renderExposure(exposure);
+
+    if (shown.length === 0) {
+        container.innerHTML = `<p class="no-data">${all.length > 0 ? 'All open positions are below the dust threshold' : 'No open positions'}</p>`;
+        stopPositionCountdowns();
+        return;
+    }
+
+    const { read } = POSITION_SORTS[positionsView.sort];
+    const direction = positionsView.dir === 'asc' ? 1 : -1;
+    const sorted = [...shown].sort((a, b) => {
+        const va = read(a);
+        const vb = read(b);
+        if (va === vb) return 0;
+        // Positions without an end date stay last either way
+        if (va === Infinity) return 1;
+        if (vb === Infinity) return -1;
+        return va < vb ? -direction : direction;
+    });
+
+    container.innerHTML = sorted.map(p => {
+        const pnl = getPositionPnl(p);
+        const pnlPct = p.initialValue > 0 ? ((p.currentValue / p.initialValue - 1) * 100).toFixed(1) : '-';
+        const share = exposure.total > 0 ? (p.currentValue || 0) / exposure.total * 100 : 0;
+        return `
+            <div class="position-card clickable" data-condition-id="${escapeAttribute(p.conditionId)}" data-asset="${escapeAttribute(p.asset || '')}" onclick="openMarketDetail(this.dataset.conditionId, this.dataset.asset)">
+                <div class="position-title">${escapeHtml(p.title || 'Unknown')}</div>
+                <div class="position-row">
+                    <span class="label">Outcome</span>
+                    <span class="value">${escapeHtml(p.outcome || '-')}</span>
+                </div>
+                <div class="position-row">
+                    <span class="label">Size</span>
+                    <span class="value">${p.size?.toFixed(2) || '-'}</span>
+                </div>
+                <div class="position-row">
+                    <span class="label">Avg Price</span>
+                    <span class="value">${(p.avgPrice * 100).toFixed(0)}¢</span>
+                </div>
+                <div class="position-row">
+                    <span class="label">Value</span>
+                    <span class="value">$${(p.currentValue || 0).toFixed(2)} (${share.toFixed(1)}%)</span>
+                </div>
+                <div class="position-row">
+                    <span class="label">P&L</span>
+                    <span class="value ${pnl >= 0 ? 'positive' : 'negative'}">${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} (${pnlPct}%)</span>
+                </div>
+                <div class="position-row">
+                    <span class="label">Ends</span>
+                    <span class="value position-countdown" data-end="${p.endTime ?? ''}" title="${p.endTime ? formatZonedDate(p.endTime, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : ''}">${formatTimeToResolution(p.endTime)}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    startPositionCountdowns();
+}
+
+/**
+ * Exposure breakdown and concentration above the cards
+ */
+function renderExposure(exposure) {
+    const container = document.getElementById('positions-exposure');
+
+    if (!exposure.largest) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = groups => {
+        const top = groups.slice(0, EXPOSURE_GROUP_LIMIT);
+        const rest = groups.slice(EXPOSURE_GROUP_LIMIT);
+        if (rest.length > 0) {
+            top.push({
+                label: `${rest.length} more`,
+                value: rest.reduce((sum, g) => sum + g.value, 0),
+                share: rest.reduce((sum, g) => sum + g.share, 0),
+                count: rest.reduce((sum, g) => sum + g.count, 0)
+            });
+        }
+        return top.map(g => `
+            <div class="mini-table-row exposure-row">
+                <span class="cat" title="${escapeAttribute(g.label)}">${escapeHtml(g.label)}</span>
+                <span class="ct">${g.count}</span>
+                <span class="pnl">$${g.value.toFixed(0)}</span>
+                <span class="wr">${(g.share * 100).toFixed(0)}%</span>
+                <span class="exposure-bar"><span style="width:${(g.share * 100).toFixed(1)}%"></span></span>
+            </div>
+        `).join('');
+    };
+
+    const largestTitle = exposure.largest ? exposure.largest.title || 'Unknown' : '-';
+
+    container.innerHTML = `
+        <div class="analysis-panel">
+            <h3>Concentration</h3>
+            <div class="position-row"><span class="label">Portfolio Value</span><span class="value">$${exposure.total.toFixed(2)}</span></div>
+            <div class="position-row"><span class="label">Largest Position</span><span class="value ${exposure.largestShare > 0.25 ? 'negative' : ''}">${(exposure.largestShare * 100).toFixed(1)}%</span></div>
+            <div class="position-row"><span class="label">Top 5 Positions</span><span class="value">${(exposure.topFiveShare * 100).toFixed(1)}%</span></div>
+            <div class="chart-note exposure-largest" title="${escapeAttribute(largestTitle)}">${escapeHtml(largestTitle)}</div>
+        </div>
+        <div class="analysis-panel">
+            <h3>By Category</h3>
+            <div class="mini-table">${rows(exposure.byCategory)}</div>
+        </div>
+        <div class="analysis-panel">
+            <h3>By Event</h3>
+            <div class="mini-table">${rows(exposure.byEvent)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Reflect the view state in the sort and dust controls
+ */
+function syncPositionControls() {
+    document.getElementById('positions-sort').value = positionsView.sort;
+    document.getElementById('positions-sort-dir').textContent = positionsView.dir === 'asc' ? '▲' : '▼';
+    document.getElementById('positions-dust').value = positionsView.dustThreshold;
+}
+
+function setPositionSort(sort) {
+    if (!POSITION_SORTS[sort]) return;
+    positionsView.sort = sort;
+    // Soonest end date first, biggest value/P&L first
+    positionsView.dir = sort === 'endDate' ? 'asc' : 'desc';
+    if (appState.data) renderPositions(appState.data.positions);
+}
+
+function togglePositionSortDir() {
+    positionsView.dir = positionsView.dir === 'asc' ? 'desc' : 'asc';
+    if (appState.data) renderPositions(appState.data.positions);
+}
+
+/**
+ * Hide positions worth less than this many dollars
+ */
+function setDustThreshold(value) {
+    const threshold = parseFloat(value);
+    positionsView.dustThreshold = Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_DUST_THRESHOLD;
+    localStorage.setItem(DUST_THRESHOLD_KEY, positionsView.dustThreshold);
+    if (appState.data) renderPositions(appState.data.positions);
+}
+
+/**
+ * Refresh countdown labels once a minute
+ */
+function startPositionCountdowns() {
+    if (positionsCountdownTimer) return;
+    positionsCountdownTimer = setInterval(() => {
+        document.querySelectorAll('.position-countdown').forEach(el => {
+            const end = el.dataset.end === '' ? null : Number(el.dataset.end);
+            el.textContent = formatTimeToResolution(end);
+        });
+    }, 60000);
+}
+
+function stopPositionCountdowns() {
+    clearInterval(positionsCountdownTimer);
+    positionsCountdownTimer = null;
+}
@@ -0,0 +1,454 @@
+/**
+ * rules.js - Observation Rule Definitions
+ *
+ * Every rule-based observation is declared here with its named thresholds.
+ * Rule packs bundle threshold changes; the user's own tweaks sit on top of
+ * the selected pack and can be exported and imported as JSON.
+ */
+
+const OBSERVATION_RULES_KEY = 'belief_mirror_observation_rules';
+const RULE_PACK_VERSION = 1;
+
+/**
+ * Rule registry, in evaluation order
+ */
+const OBSERVATION_RULES = [
+    {
+        id: 'volume',
+        name: 'Trading volume',
+        description: 'Describes overall activity level by total volume.',
+        thresholds: {
+            highVolume: { value: 100000, label: 'High-volume trader from ($)' },
+            activeVolume: { value: 10000, label: 'Active trader from ($)' },
+            growingVolume: { value: 1000, label: 'Growing trader from ($)' }
+        }
+    },
+    {
+        id: 'category',
+        name: 'Category focus',
+        description: 'How concentrated your markets are in one category.',
+        thresholds: {
+            strongFocusPct: { value: 60, label: 'Strong focus from (% of markets)' },
+            notableFocusPct: { value: 40, label: 'Notable focus from (% of markets)' }
+        }
+    },
+    {
+        id: 'buy-sell',
+        name: 'Buy/sell balance',
+        description: 'Whether you mostly build positions or mostly exit them.',
+        thresholds: {
+            builderBuyPct: { value: 70, label: 'Position builder from (% buys)' },
+            profitTakerSellPct: { value: 70, label: 'Profit-taker from (% sells)' }
+        }
+    },
+    {
+        id: 'frequency',
+        name: 'Trading frequency',
+        description: 'Trades per active day.',
+        thresholds: {
+            highFrequencyPerDay: { value: 5, label: 'High frequency from (trades/day)' },
+            regularPerDay: { value: 2, label: 'Regular from (trades/day)' }
+        }
+    },
+    {
+        id: 'price-range',
+        name: 'Risk preference',
+        description: 'Which entry prices you trade most.',
+        thresholds: {
+            minTrades: { value: 5, label: 'Minimum trades' },
+            lowMaxPrice: { value: 0.2, label: 'Longshot up to (price)' },
+            midMaxPrice: { value: 0.5, label: 'Mid range up to (price)' },
+            highMaxPrice: { value: 0.8, label: 'High range up to (price)' },
+            dominantPct: { value: 40, label: 'Dominant range from (% of trades)' }
+        }
+    },
+    {
+        id: 'timing',
+        name: 'Trading hours',
+        description: 'Peak hour and day, and how much you trade during US market hours.',
+        thresholds: {
+            usHoursStart: { value: 9, label: 'US hours start (New York hour)' },
+            usHoursEnd: { value: 16, label: 'US hours end (New York hour, exclusive)' },
+            usHoursPct: { value: 50, label: 'Mention US hours from (% of trades)' }
+        }
+    },
+    {
+        id: 'timing-edge',
+        name: 'Losing time windows',
+        description: 'Times of day or days of the week where the positions you open keep losing.',
+        thresholds: {
+            minClosed: { value: 10, label: 'Minimum closed entries in the window' },
+            minWinRateGap: { value: 10, label: 'Win rate below overall by (pts)' }
+        }
+    },
+    {
+        id: 'position-size',
+        name: 'Position sizing',
+        description: 'Average trade size.',
+        thresholds: {
+            minTrades: { value: 5, label: 'Minimum trades' },
+            largeSize: { value: 500, label: 'Large positions from ($)' },
+            moderateSize: { value: 100, label: 'Moderate positions from ($)' }
+        }
+    },
+    {
+        id: 'open-positions',
+        name: 'Open portfolio',
+        description: 'Unrealized P&L across open positions.',
+        thresholds: {
+            minPositions: { value: 1, label: 'Minimum open positions' }
+        }
+    },
+    {
+        id: 'win-loss',
+        name: 'Overall performance',
+        description: 'Realized P&L and win rate across resolved markets.',
+        thresholds: {
+            minResolved: { value: 1, label: 'Minimum resolved markets' },
+            goodWinRate: { value: 55, label: 'Good win rate from (%)' },
+            poorWinRate: { value: 45, label: 'Poor win rate below (%)' }
+        }
+    },
+    {
+        id: 'category-edge',
+        name: 'Category edge',
+        description: 'Best and worst categories by win rate.',
+        thresholds: {
+            minResolved: { value: 5, label: 'Minimum resolved markets' },
+            minCategoryCount: { value: 3, label: 'Minimum markets per category' },
+            minSpread: { value: 15, label: 'Minimum best-worst gap (pts)' },
+            strongWinRate: { value: 60, label: 'Strong category from (%)' },
+            weakWinRate: { value: 40, label: 'Weak category below (%)' }
+        }
+    },
+    {
+        id: 'price-range-edge',
+        name: 'Price range edge',
+        description: 'Which entry price ranges win and lose.',
+        thresholds: {
+            minResolved: { value: 5, label: 'Minimum resolved markets' },
+            minRangeCount: { value: 3, label: 'Minimum markets per range' },
+            longshotWinRate: { value: 30, label: 'Notable longshot win rate from (%)' },
+            favoriteWinRate: { value: 85, label: 'Heavy favorites underperform below (%)' }
+        }
+    },
+    {
+        id: 'holding-period',
+        name: 'Holding period',
+        description: 'Quick flips versus holding to resolution.',
+        thresholds: {
+            minPositions: { value: 5, label: 'Minimum closed positions' },
+            minBucketCount: { value: 3, label: 'Minimum positions per bucket' }
+        }
+    },
+    {
+        id: 'win-rate-change',
+        name: 'Win rate change',
+        description: 'Win rate in recent windows against the window before.',
+        thresholds: {
+            minResolved: { value: 5, label: 'Minimum resolved markets per window' },
+            minShift: { value: 15, label: 'Report from a change of (pts)' }
+        }
+    },
+    {
+        id: 'size-change',
+        name: 'Position size change',
+        description: 'Average trade size in recent windows against the window before.',
+        thresholds: {
+            minTrades: { value: 10, label: 'Minimum trades per window' },
+            minChangePct: { value: 50, label: 'Report from a change of (%)' }
+        }
+    },
+    {
+        id: 'category-mix-change',
+        name: 'Category mix change',
+        description: 'Which category gained or lost the most share of your markets.',
+        thresholds: {
+            minTrades: { value: 10, label: 'Minimum trades per window' },
+            minShift: { value: 20, label: 'Report from a change of (pts)' }
+        }
+    },
+    {
+        id: 'price-mix-change',
+        name: 'Price preference change',
+        description: 'Which entry price range gained or lost the most share of your trades.',
+        thresholds: {
+            minTrades: { value: 10, label: 'Minimum trades per window' },
+            minShift: { value: 20, label: 'Report from a change of (pts)' }
+        }
+    },
+    {
+        id: 'biases',
+        name: 'Cognitive biases',
+        description: 'Disposition effect, averaging down, revenge trading, overtrading after wins and longshot bias.',
+        thresholds: {
+            detectionScore: { value: 50, label: 'Report from score (0-100)' },
+            minSample: { value: 5, label: 'Minimum events per detector' },
+            averagingDownDrop: { value: 0.1, label: 'Averaging down: below avg cost by (fraction)' },
+            revengeWindowHours: { value: 24, label: 'Revenge trading window (hours)' },
+            winStreakLength: { value: 3, label: 'Win streak length' },
+            winStreakWindowDays: { value: 3, label: 'Days watched after a streak' },
+            longshotPrice: { value: 0.2, label: 'Longshot below (price)' }
+        }
+    }
+];
+
+/**
+ * Built-in packs: threshold and enabled changes relative to the defaults
+ */
+const RULE_PACKS = {
+    default: {
+        name: 'Default',
+        rules: {}
+    },
+    // The team's preference: fewer descriptive cards, more evidence before
+    // calling an edge, and earlier bias warnings
+    team: {
+        name: 'Team',
+        rules: {
+            'volume': { enabled: false },
+            'timing': { enabled: false, thresholds: { usHoursStart: 8, usHoursEnd: 15 } },
+            'position-size': { thresholds: { minTrades: 20, largeSize: 1000, moderateSize: 200 } },
+            'win-loss': { thresholds: { minResolved: 10 } },
+            'category-edge': { thresholds: { minResolved: 20, minCategoryCount: 5, minSpread: 20 } },
+            'price-range-edge': { thresholds: { minResolved: 20, minRangeCount: 5 } },
+            'holding-period': { thresholds: { minPositions: 10, minBucketCount: 5 } },
+            'win-rate-change': { thresholds: { minResolved: 10 } },
+            'size-change': { thresholds: { minTrades: 20 } },
+            'biases': { thresholds: { detectionScore: 40, minSample: 8 } }
+        }
+    }
+};
+
+/**
+ * Saved selection: { pack, imported: pack or null, overrides: { ruleId: { enabled, thresholds } } }
+ */
+function getRuleSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OBSERVATION_RULES_KEY) || '{}');
+        return {
+            pack: saved.pack || 'default',
+            imported: saved.imported || null,
+            overrides: saved.overrides || {}
+        };
+    } catch {
+        return { pack: 'default', imported: null, overrides: {} };
+    }
+}
+
+function saveRuleSettings(settings) {
+    localStorage.setItem(OBSERVATION_RULES_KEY, JSON.stringify(settings));
+}
+
+function getRulePack(settings) {
+    if (settings.pack === 'imported' && settings.imported) return settings.imported;
+    return RULE_PACKS[settings.pack] || RULE_PACKS.default;
+}
+
+/**
+ * Effective rules: defaults, then the selected pack, then the user's tweaks
+ * @returns {Object} - Map of rule id to { enabled, thresholds: { name: value } }
+ */
+function getEffectiveRules() {
+    const settings = getRuleSettings();
+    const pack = getRulePack(settings);
+    const rules = {};
+
+    OBSERVATION_RULES.forEach(rule => {
+        const packRule = pack.rules[rule.id] || {};
+        const override = settings.overrides[rule.id] || {};
+        const thresholds = {};
+
+        Object.entries(rule.thresholds).forEach(([name, def]) => {
+            thresholds[name] = override.thresholds?.[name] ?? packRule.thresholds?.[name] ?? def.value;
+        });
+
+        rules[rule.id] = {
+            enabled: override.enabled ?? packRule.enabled ?? true,
+            thresholds
+        };
+    });
+
+    return rules;
+}
+
+/**
+ * Threshold values for one rule
+ */
+function getRuleThresholds(ruleId) {
+    return getEffectiveRules()[ruleId].thresholds;
+}
+
+/**
+ * Check an imported pack and keep only known rules and numeric thresholds
+ * @returns {Object} - { pack } or { error }
+ */
+function parseRulePack(json) {
+    let raw;
+    try {
+        raw = JSON.parse(json);
+    } catch (error) {
+        return { error: 'Not valid JSON' };
+    }
+
+    if (!raw || typeof raw.rules !== 'object') return { error: 'Missing "rules" object' };
+
+    const rules = {};
+    OBSERVATION_RULES.forEach(rule => {
+        const entry = raw.rules[rule.id];
+        if (!entry) return;
+
+        const clean = {};
+        if (typeof entry.enabled === 'boolean') clean.enabled = entry.enabled;
+        if (entry.thresholds) {
+            clean.thresholds = {};
+            Object.keys(rule.thresholds).forEach(name => {
+                const value = Number(entry.thresholds[name]);
+                if (entry.thresholds[name] !== undefined && Number.isFinite(value)) clean.thresholds[name] = value;
+            });
+        }
+        rules[rule.id] = clean;
+    });
+
+    return { pack: { name: String(raw.name || 'Imported').slice(0, 40), rules } };
+}
+
+/**
+ * Settings panel
+ */
+function openRulesModal() {
+    renderRulesEditor();
+    document.getElementById('rules-modal').classList.remove('hidden');
+}
+
+function closeRulesModal() {
+    document.getElementById('rules-modal').classList.add('hidden');
+}
+
+/**
+ * Re-run observations after a rule change
+ */
+function applyRuleSettings(settings) {
+    saveRuleSettings(settings);
+    renderRulesEditor();
+    if (appState.stats) renderObservations(generateObservations(appState.stats, appState.data), appState.data);
+}
+
+function renderRulesEditor() {
+    const settings = getRuleSettings();
+    const effective = getEffectiveRules();
+
+    const packs = Object.entries(RULE_PACKS).map(([id, pack]) => [id, pack.name]);
+    if (settings.imported) packs.push(['imported', `${settings.imported.name} (imported)`]);
+
+    document.getElementById('rule-pack').innerHTML = packs
+        .map(([id, name]) => `<option value="${id}" ${id === settings.pack ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+        .join('');
+
+    document.getElementById('rules-list').innerHTML = OBSERVATION_RULES.map(rule => {
+        const current = effective[rule.id];
+        const tweaked = !!settings.overrides[rule.id];
+        return `
+            <div class="rule-card ${current.enabled ? '' : 'disabled'}">
+                <label class="rule-header">
+                    <input type="checkbox" ${current.enabled ? 'checked' : ''} onchange="setRuleEnabled('${rule.id}', this.checked)">
+                    <span class="rule-name">${rule.name}</span>
+                    ${tweaked ? `<button class="link-btn" onclick="resetRuleOverrides('${rule.id}')">reset</button>` : ''}
+                </label>
+                <div class="rule-description">${rule.description}</div>
+                <div class="rule-thresholds">
+                    ${Object.entries(rule.thresholds).map(([name, def]) => `
+                        <label class="rule-threshold">
+                            <span title="${name}">${def.label}</span>
+                            <input type="number" step="any" value="${current.thresholds[name]}"
+                                onchange="setRuleThreshold('${rule.id}', '${name}', this.value)">
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function selectRulePack(packId) {
+    const settings = getRuleSettings();
+    settings.pack = packId;
+    applyRuleSettings(settings);
+}
+
+function setRuleEnabled(ruleId, enabled) {
+    const settings = getRuleSettings();
+    settings.overrides[ruleId] = { ...settings.overrides[ruleId], enabled };
+    applyRuleSettings(settings);
+}
+
+function setRuleThreshold(ruleId, name, value) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        showToast('Thresholds must be numbers');
+        renderRulesEditor();
+        return;
+    }
+
+    const settings = getRuleSettings();
+    const override = settings.overrides[ruleId] || {};
+    override.thresholds = { ...override.thresholds, [name]: number };
+    settings.overrides[ruleId] = override;
+    applyRuleSettings(settings);
+}
+
+function resetRuleOverrides(ruleId) {
+    const settings = getRuleSettings();
+    delete settings.overrides[ruleId];
+    applyRuleSettings(settings);
+}
+
+function resetAllRuleOverrides() {
+    const settings = getRuleSettings();
+    settings.overrides = {};
+    applyRuleSettings(settings);
+}
+
+/**
+ * Download the effective rules as a pack
+ */
+function exportRulePack() {
+    const effective = getEffectiveRules();
+    const pack = {
+        name: `${getRulePack(getRuleSettings()).name} (custom)`,
+        version: RULE_PACK_VERSION,
+        rules: effective
+    };
+
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'belief-mirror-rules.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a pack from a JSON file and switch to it
+ */
+function importRulePack(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = parseRulePack(reader.result);
+        input.value = '';
+
+        if (result.error) {
+            showToast(`Import failed: ${result.error}`);
+            return;
+        }
+
+        // The imported pack replaces any tweaks so it takes effect as written
+        applyRuleSettings({ pack: 'imported', imported: result.pack, overrides: {} });
+        showToast(`Imported "${result.pack.name}"`);
+    };
+    reader.readAsText(file);
+}
@@ -6,11 +6,15 @@
 
 /**
  * Calculate all statistics from activity and positions data
- * @param {Object} data - Object containing activity and positions arrays
+ * @param {Object} data - Object containing activity and positions arrays, plus
+ *                        market metadata keyed by conditionId when available
+ * @param {Object} options - { costBasisMethod: 'fifo' | 'average', timeZone (defaults to the app setting) }
  * @returns {Object} - Calculated statistics
  */
-function calculateStats(data) {
+function calculateStats(data, options = {}) {
     const { activity, positions, closedPositions } = data;
+    const markets = data.markets || {};
+    const timeZone = options.timeZone || getTimezone();
     
     // Filter to only trades (should already be filtered, but double-check)
     const trades = activity.filter(a => a.type === 'TRADE');
@@ -18,16 +22,31 @@ function calculateStats(data) {
     // Basic counts
     const totalTrades = trades.length;
     
-    // Total volume (USDC)
-    const totalVolume = trades.reduce((sum, trade) => {
+    // Trade volume (USDC)
+    const tradeVolume = trades.reduce((sum, trade) => {
         return sum + (trade.usdcSize || 0);
     }, 0);
     
+    // Redemptions and rewards
+    const redemptions = activity.filter(a => a.type === 'REDEEM');
+    const rewards = activity.filter(a => a.type === 'REWARD');
+    const totalRedeemed = redemptions.reduce((sum, r) => sum + (r.usdcSize || 0), 0);
+    const totalRewards = rewards.reduce((sum, r) => sum + (r.usdcSize || 0), 0);
+    
+    // Total volume includes redemptions (shares turned back into USDC)
+    const totalVolume = tradeVolume + totalRedeemed;
+    
+    // Activity counts by type
+    const activityByType = activity.reduce((counts, a) => {
+        counts[a.type] = (counts[a.type] || 0) + 1;
+        return counts;
+    }, {});
+    
     // Unique markets
     const uniqueMarkets = new Set(trades.map(t => t.conditionId)).size;
     
     // Average trade size
-    const avgTradeSize = totalTrades > 0 ? totalVolume / totalTrades : 0;
+    const avgTradeSize = totalTrades > 0 ? tradeVolume / totalTrades : 0;
     
     // Buy/Sell counts
     const buys = trades.filter(t => t.side === 'BUY').length;
@@ -35,17 +54,14 @@ function calculateStats(data) {
     const buySellRatio = sells > 0 ? (buys / sells).toFixed(2) : buys > 0 ? '∞' : '-';
     
     // Active trading days
-    const tradingDays = new Set(
-        trades.map(t => {
-            const date = new Date(t.timestamp * 1000);
-            return date.toISOString().split('T')[0];
-        })
-    ).size;
+    const tradingDays = new Set(trades.map(t => getDateKey(t.timestamp, timeZone))).size;
     
     // Date range
-    const timestamps = trades.map(t => t.timestamp);
-    const firstTrade = timestamps.length > 0 ? new Date(Math.min(...timestamps) * 1000) : null;
-    const lastTrade = timestamps.length > 0 ? new Date(Math.max(...timestamps) * 1000) : null;
+    // (reduce, not spread: histories are unbounded and would overflow the call stack)
+    const firstTimestamp = trades.reduce((min, t) => Math.min(min, t.timestamp), Infinity);
+    const lastTimestamp = trades.reduce((max, t) => Math.max(max, t.timestamp), -Infinity);
+    const firstTrade = trades.length > 0 ? new Date(firstTimestamp * 1000) : null;
+    const lastTrade = trades.length > 0 ? new Date(lastTimestamp * 1000) : null;
     
     // Trading frequency (trades per day on active days)
     const tradesPerDay = tradingDays > 0 ? (totalTrades / tradingDays).toFixed(1) : 0;
@@ -66,26 +82,67 @@ function calculateStats(data) {
         ? trades.filter(t => t.side === 'SELL').reduce((sum, t) => sum + t.price, 0) / sells 
         : 0;
     
-    // Market categories (extracted from titles)
-    const marketCategories = categorizeMarkets(trades);
+    // Market categories from the shared taxonomy
+    const marketCategories = categorizeMarkets(trades, markets);
+    const categorySources = getCategorySources(trades, markets);
     
     // Current positions stats
     const totalPositionValue = positions.reduce((sum, p) => sum + (p.currentValue || 0), 0);
     const totalUnrealizedPnL = positions.reduce((sum, p) => sum + (p.cashPnl || 0), 0);
     
     // Trade timing analysis
-    const hourDistribution = getHourDistribution(trades);
-    const dayDistribution = getDayDistribution(trades);
+    const hourDistribution = getHourDistribution(trades, timeZone);
+    const dayDistribution = getDayDistribution(trades, timeZone);
     
     // Monthly volume
-    const monthlyVolume = getMonthlyVolume(trades);
+    const monthlyVolume = getMonthlyVolume(trades, timeZone);
+    
+    // Ledger P&L rebuilt from the full activity history, checked against the API
+    const costBasis = calculateCostBasis(activity, {
+        method: options.costBasisMethod,
+        settlements: getSettlementPrices(closedPositions),
+        positions: [...positions, ...closedPositions],
+        markets,
+        timeZone
+    });
+    const pnlReconciliation = reconcileClosedPositions(costBasis, closedPositions);
     
     // === WIN/LOSS ANALYSIS (NEW) ===
-    const winLossStats = calculateWinLossStats(closedPositions);
+    // Wins and losses are judged on the ledger's P&L, not the API's
+    const winLossStats = calculateWinLossStats(applyLedgerPnl(closedPositions, costBasis), markets);
+    const apiRealizedPnL = closedPositions.reduce((sum, p) => sum + (p.realizedPnl || 0), 0) + totalRewards;
+    
+    // Cumulative P&L timeline for the P&L chart
+    const pnlOverTime = calculatePnLOverTime(activity, costBasis, positions, markets, timeZone);
+    
+    // Drawdown, volatility and streaks from the realized timeline
+    const riskMetrics = calculateRiskMetrics(pnlOverTime, costBasis.daily, closedPositions);
+    
+    // How long positions were held, and how that relates to outcomes
+    const holdingPeriods = calculateHoldingPeriods(trades, costBasis);
+    
+    // Entry prices as implied forecasts vs how markets resolved
+    const calibration = calculateCalibration(trades, closedPositions, markets);
+    
+    // Volume and P&L per event, for markets that share one
+    const eventExposure = calculateEventExposure(trades, costBasis, markets);
+    
+    // Recent windows against the ones before them
+    const periodComparison = calculatePeriodComparison(trades, closedPositions, markets, timeZone);
+    
+    // Trade count, P&L and win rate by hour and weekday of entry
+    const timingHeatmap = calculateTimingHeatmap(trades, costBasis, timeZone);
+    const timingWindows = calculateTimingWindows(timingHeatmap);
     
     return {
         totalTrades,
         totalVolume,
+        tradeVolume,
+        totalRedeemed,
+        redemptionCount: redemptions.length,
+        totalRewards,
+        rewardCount: rewards.length,
+        activityByType,
         uniqueMarkets,
         avgTradeSize,
         buys,
@@ -100,23 +157,46 @@ function calculateStats(data) {
         avgBuyPrice,
         avgSellPrice,
         marketCategories,
+        categorySources,
         totalPositionValue,
         totalUnrealizedPnL,
+        timeZone,
         hourDistribution,
         dayDistribution,
+        timingHeatmap,
+        timingWindows,
         monthlyVolume,
         positions: positions.length,
+        // Whether every page of history loaded (see fetchAllData)
+        dataComplete: data.completeness ? data.completeness.complete : true,
+        costBasis,
+        pnlReconciliation,
+        pnlOverTime,
+        calibration,
+        ...riskMetrics,
+        holdingPeriods,
+        eventExposure,
+        periodComparison,
+        // How many markets had official metadata (see loadMarketMetadata)
+        marketMetadata: data.marketMetadata || null,
         // Win/Loss stats
-        ...winLossStats
+        ...winLossStats,
+        // Headline P&L is the ledger's: trades, merges, redemptions and
+        // rewards (realized income on top of trading P&L)
+        tradingRealizedPnL: costBasis.totalRealizedPnL - totalRewards,
+        totalRealizedPnL: costBasis.totalRealizedPnL,
+        // The closed-positions endpoint's figure, for comparison
+        apiRealizedPnL
     };
 }
 
 /**
  * Calculate win/loss statistics from closed positions
  * @param {Array} closedPositions - Array of closed position records
+ * @param {Object} markets - Market metadata keyed by conditionId
  * @returns {Object} - Win/loss statistics
  */
-function calculateWinLossStats(closedPositions) {
+function calculateWinLossStats(closedPositions, markets = {}) {
     if (!closedPositions || closedPositions.length === 0) {
         return {
             totalResolved: 0,
@@ -164,7 +244,7 @@ function calculateWinLossStats(closedPositions) {
         : null;
     
     // Win/loss by category
-    const winLossByCategory = calculateWinLossByCategory(closedPositions);
+    const winLossByCategory = calculateWinLossByCategory(closedPositions, markets);
     
     // Win/loss by entry price range
     const winLossByPriceRange = calculateWinLossByPriceRange(closedPositions);
@@ -196,28 +276,11 @@ function calculateWinLossStats(closedPositions) {
 /**
  * Calculate win/loss stats by market category
  */
-function calculateWinLossByCategory(closedPositions) {
+function calculateWinLossByCategory(closedPositions, markets = {}) {
     const categories = {};
     
-    const keywords = {
-        'Politics': ['election', 'president', 'congress', 'senate', 'trump', 'biden', 'democrat', 'republican', 'vote', 'governor', 'mayor', 'political', 'impeach'],
-        'Sports': ['nba', 'nfl', 'mlb', 'world cup', 'super bowl', 'championship', 'playoffs', 'game', 'team', 'player', 'match'],
-        'Crypto': ['bitcoin', 'ethereum', 'btc', 'eth', 'crypto', 'token', 'coin', 'defi', 'nft', 'blockchain'],
-        'Economy': ['fed', 'interest rate', 'inflation', 'gdp', 'recession', 'economy', 'market', 'stock', 'treasury', 'unemployment'],
-        'Entertainment': ['oscar', 'emmy', 'movie', 'film', 'album', 'spotify', 'netflix', 'celebrity', 'award'],
-        'Science': ['climate', 'nasa', 'space', 'ai', 'artificial intelligence', 'scientific', 'research', 'temperature']
-    };
-    
     closedPositions.forEach(position => {
-        const title = (position.title || '').toLowerCase();
-        let category = 'Other';
-        
-        for (const [cat, words] of Object.entries(keywords)) {
-            if (words.some(word => title.includes(word))) {
-                category = cat;
-                break;
-            }
-        }
+        const category = getMarketCategory(position, markets);
         
         if (!categories[category]) {
             categories[category] = { wins: 0, losses: 0, totalPnl: 0, count: 0 };
@@ -242,6 +305,288 @@ function calculateWinLossByCategory(closedPositions) {
     return categories;
 }
 
+/**
+ * Build a daily cumulative P&L series from the cost basis ledger
+ * @param {Array} activity - Normalized activity records (trades set the marks)
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @param {Array} positions - Current open positions (for the latest marks)
+ * @param {Object} markets - Market metadata keyed by conditionId
+ * @param {string} timeZone - Timezone the days are cut in
+ * @returns {Array} - [{ date, day, realized, cumulative, unrealized, markToMarket, byCategory }]
+ */
+function calculatePnLOverTime(activity, costBasis, positions, markets = {}, timeZone = getTimezone()) {
+    if (!costBasis || activity.length === 0) return [];
+    
+    // Lots open cost, ledger events release it, trades move the mark
+    const steps = [
+        ...costBasis.lots.map(l => ({ timestamp: l.openedAt, order: 0, lot: l })),
+        ...activity.filter(t => t.type === 'TRADE').map(t => ({ timestamp: t.timestamp, order: 1, trade: t })),
+        ...costBasis.events.map(e => ({ timestamp: e.timestamp, order: 2, event: e }))
+    ].sort((a, b) => a.timestamp - b.timestamp || a.order - b.order);
+    
+    const open = {};
+    const marks = {};
+    const categoryTotals = {};
+    const series = [];
+    let cumulative = 0;
+    let current = null;
+    
+    const unrealizedNow = (markOverrides = {}) => Object.entries(open).reduce((sum, [key, o]) => {
+        if (o.shares <= 1e-9) return sum;
+        const mark = markOverrides[key] ?? marks[key] ?? 0;
+        return sum + o.shares * mark - o.cost;
+    }, 0);
+    
+    const closeDay = () => {
+        if (!current) return;
+        current.cumulative = cumulative;
+        current.unrealized = unrealizedNow();
+        current.markToMarket = cumulative + current.unrealized;
+        current.byCategory = { ...categoryTotals };
+        series.push(current);
+    };
+    
+    steps.forEach(step => {
+        const day = getDateKey(step.timestamp, timeZone);
+        if (!current || current.day !== day) {
+            closeDay();
+            current = { day, date: step.timestamp * 1000, realized: 0 };
+        }
+        current.date = step.timestamp * 1000;
+        
+        if (step.lot) {
+            const l = step.lot;
+            if (!open[l.key]) open[l.key] = { shares: 0, cost: 0 };
+            open[l.key].shares += l.shares;
+            open[l.key].cost += l.shares * l.price;
+            if (marks[l.key] === undefined) marks[l.key] = l.price;
+        } else if (step.trade) {
+            marks[getPositionKey(step.trade)] = step.trade.price;
+        } else {
+            const e = step.event;
+            const o = open[e.key];
+            if (o) {
+                o.shares -= e.shares;
+                o.cost -= e.cost;
+            }
+            if (e.type === 'settle' || e.type === 'redeem') marks[e.key] = e.price;
+            
+            const category = getMarketCategory(e, markets);
+            categoryTotals[category] = (categoryTotals[category] || 0) + e.pnl;
+            current.realized += e.pnl;
+            cumulative += e.pnl;
+        }
+    });
+    
+    closeDay();
+    
+    // Re-mark the final point with current prices for open positions
+    if (series.length > 0 && positions && positions.length > 0) {
+        const currentMarks = {};
+        positions.forEach(p => {
+            if (p.curPrice !== undefined) currentMarks[getPositionKey(p)] = p.curPrice;
+        });
+        const today = getDateKey(Date.now() / 1000, timeZone);
+        let last = series[series.length - 1];
+        if (last.day !== today) {
+            last = { ...last, day: today, date: Date.now(), realized: 0 };
+            series.push(last);
+        }
+        last.unrealized = unrealizedNow(currentMarks);
+        last.markToMarket = last.cumulative + last.unrealized;
+    }
+    
+    return series;
+}
+
+/**
+ * Risk metrics from the realized P&L timeline
+ * @param {Array} pnlOverTime - Result of calculatePnLOverTime
+ * @param {Object} dailyPnl - Realized P&L keyed by date in the app timezone
+ * @param {Array} closedPositions - Closed position records (for streaks)
+ * @returns {Object} - Drawdown, volatility, Sharpe/Sortino-style ratios and streaks
+ */
+function calculateRiskMetrics(pnlOverTime, dailyPnl, closedPositions) {
+    // Equity is cumulative realized P&L starting from zero
+    let peak = 0;
+    // A series that opens below zero is in drawdown from its first point
+    let peakDate = pnlOverTime.length > 0 ? pnlOverTime[0].date : null;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    let maxDrawdownDays = 0;
+    let currentDrawdownDays = 0;
+    const underwater = [];
+    
+    pnlOverTime.forEach(point => {
+        // Duration runs from the old peak until the point that recovers it
+        const daysSincePeak = peakDate !== null ? Math.round((point.date - peakDate) / 86400000) : 0;
+        
+        if (point.cumulative >= peak) {
+            if (underwater.length > 0 && underwater[underwater.length - 1].drawdown < 0) {
+                maxDrawdownDays = Math.max(maxDrawdownDays, daysSincePeak);
+            }
+            peak = point.cumulative;
+            peakDate = point.date;
+            currentDrawdownDays = 0;
+        } else {
+            currentDrawdownDays = daysSincePeak;
+            maxDrawdownDays = Math.max(maxDrawdownDays, currentDrawdownDays);
+        }
+        
+        const drawdown = point.cumulative - peak;
+        const drawdownPct = peak > 0 ? (drawdown / peak) * 100 : null;
+        underwater.push({ date: point.date, drawdown, drawdownPct });
+        
+        if (-drawdown > maxDrawdown) maxDrawdown = -drawdown;
+        if (drawdownPct !== null && -drawdownPct > maxDrawdownPct) maxDrawdownPct = -drawdownPct;
+    });
+    
+    // Every calendar day between the first and last realization counts,
+    // including flat days
+    const days = Object.keys(dailyPnl || {}).sort();
+    const dailyReturns = [];
+    if (days.length > 0) {
+        const end = new Date(days[days.length - 1] + 'T00:00:00Z');
+        for (let d = new Date(days[0] + 'T00:00:00Z'); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+            dailyReturns.push(dailyPnl[d.toISOString().split('T')[0]] || 0);
+        }
+    }
+    
+    const n = dailyReturns.length;
+    const mean = n > 0 ? dailyReturns.reduce((a, b) => a + b, 0) / n : 0;
+    const dailyVolatility = n > 1
+        ? Math.sqrt(dailyReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (n - 1))
+        : 0;
+    const downsideDeviation = n > 0
+        ? Math.sqrt(dailyReturns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / n)
+        : 0;
+    
+    // Dollar-based, annualized over calendar days, no risk-free rate
+    const sharpeRatio = dailyVolatility > 0 ? (mean / dailyVolatility) * Math.sqrt(365) : null;
+    const sortinoRatio = downsideDeviation > 0 ? (mean / downsideDeviation) * Math.sqrt(365) : null;
+    
+    // Streaks over resolved positions in closing order
+    const ordered = [...(closedPositions || [])].sort((a, b) =>
+        (a.timestamp || new Date(a.endDate || 0).getTime() / 1000) -
+        (b.timestamp || new Date(b.endDate || 0).getTime() / 1000)
+    );
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    let streak = 0;
+    
+    ordered.forEach(p => {
+        const pnl = p.realizedPnl || 0;
+        if (pnl > 0) streak = streak > 0 ? streak + 1 : 1;
+        else if (pnl < 0) streak = streak < 0 ? streak - 1 : -1;
+        else streak = 0;
+        
+        if (streak > longestWinStreak) longestWinStreak = streak;
+        if (-streak > longestLossStreak) longestLossStreak = -streak;
+    });
+    
+    return {
+        maxDrawdown,
+        maxDrawdownPct,
+        maxDrawdownDays,
+        currentDrawdown: underwater.length > 0 ? Math.max(0, -underwater[underwater.length - 1].drawdown) : 0,
+        currentDrawdownDays,
+        dailyVolatility,
+        avgDailyPnl: mean,
+        sharpeRatio,
+        sortinoRatio,
+        longestWinStreak,
+        longestLossStreak,
+        currentStreak: streak,
+        underwater
+    };
+}
+
+/**
+ * Holding time buckets, shortest first
+ */
+const HOLDING_BUCKETS = [
+    { name: 'Scalp (<1h)', maxHours: 1 },
+    { name: 'Intraday (1-24h)', maxHours: 24 },
+    { name: 'Days (1-7d)', maxHours: 24 * 7 },
+    { name: 'Weeks (7d+)', maxHours: Infinity },
+    { name: 'Held to resolution', maxHours: null }
+];
+
+/**
+ * Pair each market's first BUY with its final sell or redemption and bucket by holding time
+ * @param {Array} trades - TRADE activity records
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @returns {Object} - { positions, buckets } with win rate and P&L per bucket
+ */
+function calculateHoldingPeriods(trades, costBasis) {
+    const firstBuy = {};
+    trades.forEach(t => {
+        if (t.side !== 'BUY') return;
+        if (!firstBuy[t.conditionId] || t.timestamp < firstBuy[t.conditionId]) {
+            firstBuy[t.conditionId] = t.timestamp;
+        }
+    });
+    
+    const exits = {};
+    costBasis.events.forEach(e => {
+        if (e.type === 'reward') return;
+        const exit = exits[e.conditionId] || { closedAt: 0, settled: false };
+        exit.closedAt = Math.max(exit.closedAt, e.timestamp);
+        if (e.type === 'settle' || e.type === 'redeem') exit.settled = true;
+        exits[e.conditionId] = exit;
+    });
+    
+    const positions = [];
+    Object.values(costBasis.markets).forEach(market => {
+        const openedAt = firstBuy[market.conditionId];
+        const exit = exits[market.conditionId];
+        
+        // Only fully closed markets have a holding period
+        if (openedAt === undefined || !exit || market.openShares > 1e-6) return;
+        
+        const hours = Math.max(0, (exit.closedAt - openedAt) / 3600);
+        const bucket = exit.settled
+            ? HOLDING_BUCKETS[HOLDING_BUCKETS.length - 1].name
+            : HOLDING_BUCKETS.find(b => b.maxHours !== null && hours < b.maxHours).name;
+        
+        positions.push({
+            conditionId: market.conditionId,
+            title: market.title,
+            openedAt,
+            closedAt: exit.closedAt,
+            hours,
+            bucket,
+            pnl: market.realizedPnl
+        });
+    });
+    
+    const buckets = {};
+    HOLDING_BUCKETS.forEach(b => {
+        buckets[b.name] = { count: 0, wins: 0, losses: 0, totalPnl: 0, totalHours: 0 };
+    });
+    
+    positions.forEach(p => {
+        const b = buckets[p.bucket];
+        b.count++;
+        b.totalPnl += p.pnl;
+        b.totalHours += p.hours;
+        if (p.pnl > 0) b.wins++;
+        else if (p.pnl < 0) b.losses++;
+    });
+    
+    for (const name of Object.keys(buckets)) {
+        const b = buckets[name];
+        b.winRate = b.count > 0 ? (b.wins / b.count) * 100 : 0;
+        b.avgHours = b.count > 0 ? b.totalHours / b.count : 0;
+    }
+    
+    const medianHours = positions.length > 0
+        ? [...positions].sort((a, b) => a.hours - b.hours)[Math.floor(positions.length / 2)].hours
+        : 0;
+    
+    return { positions, buckets, medianHours };
+}
+
 /**
  * Calculate win/loss stats by entry price range
  */
@@ -255,14 +600,7 @@ function calculateWinLossByPriceRange(closedPositions) {
     };
     
     closedPositions.forEach(position => {
-        const avgPrice = position.avgPrice || 0;
-        let range;
-        
-        if (avgPrice <= 0.20) range = 'Longshots (0-20¢)';
-        else if (avgPrice <= 0.40) range = 'Underdogs (20-40¢)';
-        else if (avgPrice <= 0.60) range = 'Toss-ups (40-60¢)';
-        else if (avgPrice <= 0.80) range = 'Favorites (60-80¢)';
-        else range = 'Heavy Favorites (80-100¢)';
+        const range = getPriceRange(position.avgPrice || 0);
         
         ranges[range].count++;
         ranges[range].totalPnl += position.realizedPnl || 0;
@@ -284,74 +622,365 @@ function calculateWinLossByPriceRange(closedPositions) {
 }
 
 /**
- * Categorize markets by topic based on title keywords
+ * Name of the price range a price falls in
+ */
+function getPriceRange(price) {
+    if (price <= 0.20) return 'Longshots (0-20¢)';
+    if (price <= 0.40) return 'Underdogs (20-40¢)';
+    if (price <= 0.60) return 'Toss-ups (40-60¢)';
+    if (price <= 0.80) return 'Favorites (60-80¢)';
+    return 'Heavy Favorites (80-100¢)';
+}
+
+/**
+ * Resolved outcomes from closed positions (1 = won, 0 = lost)
+ */
+function getResolvedOutcomes(closedPositions) {
+    const resolved = {};
+    
+    (closedPositions || []).forEach(p => {
+        if (p.curPrice >= 0.99) resolved[getPositionKey(p)] = 1;
+        else if (p.curPrice !== undefined && p.curPrice !== null && p.curPrice <= 0.01) resolved[getPositionKey(p)] = 0;
+    });
+    
+    return resolved;
+}
+
+/**
+ * Resolution of a record's outcome from market metadata (1 = won, 0 = lost)
+ * @returns {number|undefined} - undefined while unresolved or unknown
  */
-function categorizeMarkets(trades) {
-    const categories = {
-        'Politics': 0,
-        'Sports': 0,
-        'Crypto': 0,
-        'Economy': 0,
-        'Entertainment': 0,
-        'Science': 0,
-        'Other': 0
+function getMetadataOutcome(record, markets) {
+    const meta = markets && markets[record.conditionId];
+    if (!meta || meta.resolvedOutcomeIndex === null || meta.resolvedOutcomeIndex === undefined) return undefined;
+    
+    const index = record.outcomeIndex ?? meta.outcomes.indexOf(record.outcome);
+    if (index === undefined || index < 0) return undefined;
+    
+    return index === meta.resolvedOutcomeIndex ? 1 : 0;
+}
+
+/**
+ * Calibration of implied forecasts: every BUY at price p is a forecast
+ * that the outcome happens with probability p
+ * @param {Array} trades - TRADE activity records
+ * @param {Array} closedPositions - Closed position records (for resolutions)
+ * @param {Object} markets - Market metadata, for resolutions closed positions miss
+ * @returns {Object} - Brier score, log loss and a 10-bucket calibration curve
+ */
+function calculateCalibration(trades, closedPositions, markets = {}) {
+    const resolved = getResolvedOutcomes(closedPositions);
+    const forecasts = trades
+        .filter(t => t.side === 'BUY' && t.price > 0 && t.price < 1)
+        .map(t => ({ p: t.price, o: resolved[getPositionKey(t)] ?? getMetadataOutcome(t, markets) }))
+        .filter(f => f.o !== undefined);
+    
+    const buckets = Array.from({ length: 10 }, (_, i) => ({
+        label: `${i * 10}-${(i + 1) * 10}¢`,
+        min: i / 10,
+        max: (i + 1) / 10,
+        count: 0,
+        hits: 0,
+        impliedSum: 0
+    }));
+    
+    if (forecasts.length === 0) {
+        return { sampleSize: 0, brierScore: null, logLoss: null, avgImplied: 0, realizedRate: 0, overconfidence: 0, calibrationError: 0, curve: [] };
+    }
+    
+    let brierSum = 0;
+    let logLossSum = 0;
+    
+    forecasts.forEach(({ p, o }) => {
+        // Clamp so a 1¢ loser doesn't dominate the log loss
+        const clamped = Math.min(Math.max(p, 0.01), 0.99);
+        brierSum += (p - o) ** 2;
+        logLossSum += -(o * Math.log(clamped) + (1 - o) * Math.log(1 - clamped));
+        
+        const bucket = buckets[Math.min(Math.floor(p * 10 + 1e-9), 9)];
+        bucket.count++;
+        bucket.hits += o;
+        bucket.impliedSum += p;
+    });
+    
+    const n = forecasts.length;
+    const curve = buckets
+        .filter(b => b.count > 0)
+        .map(b => ({
+            label: b.label,
+            count: b.count,
+            implied: b.impliedSum / b.count,
+            realized: b.hits / b.count
+        }));
+    
+    const avgImplied = forecasts.reduce((sum, f) => sum + f.p, 0) / n;
+    const realizedRate = forecasts.reduce((sum, f) => sum + f.o, 0) / n;
+    
+    // Expected calibration error: count-weighted gap between buckets and the diagonal
+    const calibrationError = curve.reduce((sum, b) => sum + (b.count / n) * Math.abs(b.realized - b.implied), 0);
+    
+    return {
+        sampleSize: n,
+        brierScore: brierSum / n,
+        logLoss: logLossSum / n,
+        avgImplied,
+        realizedRate,
+        // Positive: outcomes hit less often than the prices paid implied
+        overconfidence: avgImplied - realizedRate,
+        calibrationError,
+        curve
     };
+}
+
+/**
+ * Volume and realized P&L grouped by event (e.g. every market of one election)
+ * @param {Array} trades - TRADE activity records
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @param {Object} markets - Market metadata keyed by conditionId
+ * @returns {Array} - Events traded in more than one market, by volume
+ */
+function calculateEventExposure(trades, costBasis, markets) {
+    const events = {};
+    
+    trades.forEach(t => {
+        const meta = markets[t.conditionId];
+        if (!meta || !meta.eventId) return;
+        
+        if (!events[meta.eventId]) {
+            events[meta.eventId] = {
+                eventId: meta.eventId,
+                title: meta.eventTitle || t.title,
+                conditionIds: new Set(),
+                volume: 0
+            };
+        }
+        events[meta.eventId].conditionIds.add(t.conditionId);
+        events[meta.eventId].volume += t.usdcSize || 0;
+    });
+    
+    return Object.values(events)
+        .filter(e => e.conditionIds.size > 1)
+        .map(e => {
+            const realizedPnl = [...e.conditionIds].reduce((sum, id) => {
+                const market = costBasis.markets[id];
+                return sum + (market ? market.realizedPnl : 0);
+            }, 0);
+            return { eventId: e.eventId, title: e.title, markets: e.conditionIds.size, volume: e.volume, realizedPnl };
+        })
+        .sort((a, b) => b.volume - a.volume);
+}
+
+/**
+ * When a closed position closed (unix seconds)
+ */
+function getClosedTimestamp(position) {
+    return position.timestamp || new Date(position.endDate || 0).getTime() / 1000;
+}
+
+/**
+ * Compare recent trading windows with the ones before them
+ * 
+ * Two comparisons: the last 30 days against the 30 before, and this
+ * calendar month so far against last month.
+ * @param {Array} trades - TRADE activity records
+ * @param {Array} closedPositions - Closed position records
+ * @param {Object} markets - Market metadata keyed by conditionId
+ * @param {string} timeZone - Timezone the months are cut in
+ * @param {number} now - Reference time in ms (defaults to now)
+ * @returns {Array} - [{ id, label, current, previous }], windows as returned by summarizePeriod
+ */
+function calculatePeriodComparison(trades, closedPositions, markets = {}, timeZone = getTimezone(), now = Date.now()) {
+    const day = 24 * 60 * 60;
+    const end = Math.floor(now / 1000);
+    const today = getZonedParts(end, timeZone);
+    const thisMonth = getZonedMidnight(today.year, today.month, 1, timeZone);
+    const lastMonth = today.month === 1
+        ? getZonedMidnight(today.year - 1, 12, 1, timeZone)
+        : getZonedMidnight(today.year, today.month - 1, 1, timeZone);
+    
+    const compare = (id, label, currentStart, previousStart, previousEnd) => ({
+        id,
+        label,
+        current: summarizePeriod(trades, closedPositions, markets, currentStart, end),
+        previous: summarizePeriod(trades, closedPositions, markets, previousStart, previousEnd)
+    });
+    
+    return [
+        compare('rolling-30d', 'the last 30 days vs the 30 before', end - 30 * day, end - 60 * day, end - 30 * day),
+        compare('month', 'this month vs last month', thisMonth, lastMonth, thisMonth)
+    ];
+}
+
+/**
+ * Trading and results within one window
+ * @param {number} start - Window start (unix seconds, inclusive)
+ * @param {number} end - Window end (unix seconds, exclusive)
+ * @returns {Object} - { start, end, trades, volume, avgTradeSize, resolved, wins, winRate, realizedPnl, categoryMix, priceMix }
+ */
+function summarizePeriod(trades, closedPositions, markets, start, end) {
+    const inWindow = trades.filter(t => t.timestamp >= start && t.timestamp < end);
+    const closed = (closedPositions || []).filter(p => {
+        const closedAt = getClosedTimestamp(p);
+        return closedAt >= start && closedAt < end;
+    });
     
-    const keywords = {
-        'Politics': ['election', 'president', 'congress', 'senate', 'trump', 'biden', 'democrat', 'republican', 'vote', 'governor', 'mayor', 'political', 'impeach'],
-        'Sports': ['nba', 'nfl', 'mlb', 'world cup', 'super bowl', 'championship', 'playoffs', 'game', 'team', 'player', 'win', 'score', 'match'],
-        'Crypto': ['bitcoin', 'ethereum', 'btc', 'eth', 'crypto', 'token', 'coin', 'defi', 'nft', 'blockchain'],
-        'Economy': ['fed', 'interest rate', 'inflation', 'gdp', 'recession', 'economy', 'market', 'stock', 'treasury', 'unemployment'],
-        'Entertainment': ['oscar', 'emmy', 'movie', 'film', 'album', 'spotify', 'netflix', 'celebrity', 'award'],
-        'Science': ['climate', 'nasa', 'space', 'ai', 'artificial intelligence', 'scientific', 'research', 'temperature']
+    const volume = inWindow.reduce((sum, t) => sum + (t.usdcSize || 0), 0);
+    const wins = closed.filter(p => (p.realizedPnl || 0) > 0).length;
+    
+    // Shares of unique markets by category and of trades by entry price, in %
+    const toShares = counts => {
+        const total = Object.values(counts).reduce((a, b) => a + b, 0);
+        const shares = {};
+        Object.entries(counts).forEach(([name, count]) => {
+            if (count > 0) shares[name] = (count / total) * 100;
+        });
+        return shares;
+    };
+    
+    const priceCounts = {};
+    inWindow.forEach(t => {
+        const range = getPriceRange(t.price || 0);
+        priceCounts[range] = (priceCounts[range] || 0) + 1;
+    });
+    
+    return {
+        start,
+        end,
+        trades: inWindow.length,
+        volume,
+        avgTradeSize: inWindow.length > 0 ? volume / inWindow.length : 0,
+        resolved: closed.length,
+        wins,
+        winRate: closed.length > 0 ? (wins / closed.length) * 100 : 0,
+        realizedPnl: closed.reduce((sum, p) => sum + (p.realizedPnl || 0), 0),
+        categoryMix: toShares(categorizeMarkets(inWindow, markets)),
+        priceMix: toShares(priceCounts)
     };
+}
+
+/**
+ * Count unique markets by category (see taxonomy.js)
+ */
+function categorizeMarkets(trades, markets = {}) {
+    const categories = {};
+    getCategoryNames().forEach(cat => { categories[cat] = 0; });
     
-    // Count unique markets by category
-    const marketCategories = new Map();
+    const seen = new Set();
     
     trades.forEach(trade => {
-        const title = (trade.title || '').toLowerCase();
-        const conditionId = trade.conditionId;
-        
-        if (marketCategories.has(conditionId)) return;
+        if (seen.has(trade.conditionId)) return;
+        seen.add(trade.conditionId);
         
-        let found = false;
-        for (const [category, words] of Object.entries(keywords)) {
-            if (words.some(word => title.includes(word))) {
-                categories[category]++;
-                marketCategories.set(conditionId, category);
-                found = true;
-                break;
-            }
-        }
+        const category = getMarketCategory(trade, markets);
+        categories[category] = (categories[category] || 0) + 1;
+    });
+    
+    return categories;
+}
+
+/**
+ * How each traded market's category was chosen
+ * @returns {Object} - Counts of unique markets by source: override, tag, rule, fallback
+ */
+function getCategorySources(trades, markets = {}) {
+    const sources = { override: 0, tag: 0, rule: 0, fallback: 0 };
+    const seen = new Set();
+    
+    trades.forEach(trade => {
+        if (seen.has(trade.conditionId)) return;
+        seen.add(trade.conditionId);
+        sources[classifyMarket(trade, markets).source]++;
+    });
+    
+    return sources;
+}
+
+/**
+ * Blocks of the week that timing performance is summarized by
+ */
+const TIMING_WINDOWS = [
+    { name: 'Late night (0-6h)', matches: (day, hour) => hour < 6 },
+    { name: 'Morning (6-12h)', matches: (day, hour) => hour >= 6 && hour < 12 },
+    { name: 'Afternoon (12-18h)', matches: (day, hour) => hour >= 12 && hour < 18 },
+    { name: 'Evening (18-24h)', matches: (day, hour) => hour >= 18 },
+    ...WEEKDAY_NAMES.map((name, index) => ({ name: `${name}s`, matches: day => day === index }))
+];
+
+/**
+ * Trade count, realized P&L and win rate by weekday and hour of entry
+ * 
+ * Trades are counted from the TRADE records, as in the activity table.
+ * Every buy (or split) opens a lot in the ledger, so a lot's realized P&L
+ * lands in the hour it was opened. A lot counts toward the win rate once
+ * it is fully closed.
+ * @param {Array} trades - TRADE activity records
+ * @param {Object} costBasis - Result of calculateCostBasis
+ * @returns {Array} - 7 rows (Sunday first) of 24 cells: { trades, pnl, closed, wins, winRate }
+ */
+function calculateTimingHeatmap(trades, costBasis, timeZone = getTimezone()) {
+    const cells = WEEKDAY_NAMES.map(() => Array.from({ length: 24 }, () => ({ trades: 0, pnl: 0, closed: 0, wins: 0 })));
+    
+    trades.forEach(trade => {
+        const { weekday, hour } = getZonedParts(trade.timestamp, timeZone);
+        cells[weekday][hour].trades++;
+    });
+    
+    costBasis.lots.forEach(lot => {
+        const { weekday, hour } = getZonedParts(lot.openedAt, timeZone);
+        const cell = cells[weekday][hour];
+        cell.pnl += lot.realizedPnl;
         
-        if (!found) {
-            categories['Other']++;
-            marketCategories.set(conditionId, 'Other');
+        if (lot.remaining <= 1e-9 && lot.closures.length > 0) {
+            cell.closed++;
+            if (lot.realizedPnl > 0) cell.wins++;
         }
     });
     
-    return categories;
+    cells.flat().forEach(cell => {
+        cell.winRate = cell.closed > 0 ? (cell.wins / cell.closed) * 100 : 0;
+    });
+    
+    return cells;
+}
+
+/**
+ * Roll heatmap cells up into TIMING_WINDOWS
+ * @returns {Array} - [{ name, trades, pnl, closed, wins, winRate }]
+ */
+function calculateTimingWindows(heatmap) {
+    return TIMING_WINDOWS.map(window => {
+        const total = { name: window.name, trades: 0, pnl: 0, closed: 0, wins: 0 };
+        
+        heatmap.forEach((row, day) => row.forEach((cell, hour) => {
+            if (!window.matches(day, hour)) return;
+            total.trades += cell.trades;
+            total.pnl += cell.pnl;
+            total.closed += cell.closed;
+            total.wins += cell.wins;
+        }));
+        
+        total.winRate = total.closed > 0 ? (total.wins / total.closed) * 100 : 0;
+        return total;
+    });
 }
 
 /**
- * Get distribution of trades by hour of day (UTC)
+ * Get distribution of trades by hour of day in the timezone
  */
-function getHourDistribution(trades) {
+function getHourDistribution(trades, timeZone = getTimezone()) {
     const hours = Array(24).fill(0);
     
     trades.forEach(trade => {
-        const hour = new Date(trade.timestamp * 1000).getUTCHours();
-        hours[hour]++;
+        hours[getZonedParts(trade.timestamp, timeZone).hour]++;
     });
     
     return hours;
 }
 
 /**
- * Get distribution of trades by day of week
+ * Get distribution of trades by day of week in the timezone
  */
-function getDayDistribution(trades) {
+function getDayDistribution(trades, timeZone = getTimezone()) {
     const days = {
         'Sunday': 0,
         'Monday': 0,
@@ -362,11 +991,8 @@ function getDayDistribution(trades) {
         'Saturday': 0
     };
     
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    
     trades.forEach(trade => {
-        const day = new Date(trade.timestamp * 1000).getUTCDay();
-        days[dayNames[day]]++;
+        days[WEEKDAY_NAMES[getZonedParts(trade.timestamp, timeZone).weekday]]++;
     });
     
     return days;
@@ -375,12 +1001,11 @@ function getDayDistribution(trades) {
 /**
  * Get volume by month
  */
-function getMonthlyVolume(trades) {
+function getMonthlyVolume(trades, timeZone = getTimezone()) {
     const monthly = {};
     
     trades.forEach(trade => {
-        const date = new Date(trade.timestamp * 1000);
-        const key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+        const key = getMonthKey(trade.timestamp, timeZone);
         
         if (!monthly[key]) {
             monthly[key] = { volume: 0, trades: 0, buys: 0, sells: 0 };
@@ -0,0 +1,380 @@
+/**
+ * taxonomy.js - Market Category Taxonomy
+ *
+ * One set of categories shared by every stat and chart. Categories are
+ * checked in priority order: manual overrides first, then official Gamma
+ * tags, then title keyword/regex rules. Edits are saved in localStorage.
+ */
+
+const TAXONOMY_STORAGE_KEY = 'belief_mirror_taxonomy';
+const FALLBACK_CATEGORY = 'Other';
+const RULE_TYPES = {
+    tag: 'Tag',
+    keyword: 'Keyword',
+    regex: 'Regex'
+};
+
+/**
+ * Build a category from tag and keyword lists
+ */
+function defineCategory(name, tags, keywords) {
+    return {
+        name,
+        rules: [
+            ...tags.map(pattern => ({ type: 'tag', pattern })),
+            ...keywords.map(pattern => ({ type: 'keyword', pattern }))
+        ]
+    };
+}
+
+const DEFAULT_TAXONOMY = {
+    categories: [
+        defineCategory('Politics',
+            ['politics', 'elections', 'us-politics', 'us-election', 'global-elections', 'geopolitics', 'world', 'us-current-affairs', 'trump', 'congress', 'courts'],
+            ['election', 'president', 'congress', 'senate', 'trump', 'biden', 'democrat', 'republican', 'vote', 'governor', 'mayor', 'political', 'impeach']),
+        defineCategory('Sports',
+            ['sports', 'nba', 'nfl', 'mlb', 'nhl', 'soccer', 'football', 'basketball', 'baseball', 'tennis', 'golf', 'mma', 'ufc', 'boxing', 'f1', 'cricket', 'esports', 'olympics', 'chess'],
+            ['nba', 'nfl', 'mlb', 'world cup', 'super bowl', 'championship', 'playoffs', 'game', 'team', 'player', 'match']),
+        defineCategory('Crypto',
+            ['crypto', 'bitcoin', 'ethereum', 'solana', 'crypto-prices', 'airdrops', 'stablecoins', 'defi', 'nft'],
+            ['bitcoin', 'ethereum', 'btc', 'eth', 'crypto', 'token', 'coin', 'defi', 'nft', 'blockchain']),
+        defineCategory('Economy',
+            ['economy', 'business', 'finance', 'fed', 'fed-rates', 'inflation', 'stocks', 'equities', 'commodities', 'gdp', 'macro', 'earnings'],
+            ['fed', 'interest rate', 'inflation', 'gdp', 'recession', 'economy', 'market', 'stock', 'treasury', 'unemployment']),
+        defineCategory('Entertainment',
+            ['pop-culture', 'culture', 'entertainment', 'movies', 'music', 'awards', 'oscars', 'tv', 'celebrities', 'gaming', 'mentions'],
+            ['oscar', 'emmy', 'movie', 'film', 'album', 'spotify', 'netflix', 'celebrity', 'award']),
+        defineCategory('Science',
+            ['science', 'tech', 'ai', 'climate', 'weather', 'space', 'health', 'pandemics'],
+            ['climate', 'nasa', 'space', 'ai', 'artificial intelligence', 'scientific', 'research', 'temperature'])
+    ],
+    // conditionId -> category name
+    overrides: {}
+};
+
+let taxonomyState = null;
+let compiledTaxonomy = null;
+
+/**
+ * Get the current taxonomy (saved edits, or the defaults)
+ */
+function getTaxonomy() {
+    if (taxonomyState) return taxonomyState;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(TAXONOMY_STORAGE_KEY) || 'null');
+        if (saved && Array.isArray(saved.categories)) {
+            taxonomyState = { categories: saved.categories, overrides: saved.overrides || {} };
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable taxonomy:', error);
+    }
+
+    if (!taxonomyState) taxonomyState = JSON.parse(JSON.stringify(DEFAULT_TAXONOMY));
+    return taxonomyState;
+}
+
+/**
+ * Save the taxonomy and rebuild the matchers
+ */
+function saveTaxonomy(taxonomy) {
+    taxonomyState = taxonomy;
+    compiledTaxonomy = null;
+    localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(taxonomy));
+}
+
+function resetTaxonomy() {
+    taxonomyState = null;
+    compiledTaxonomy = null;
+    localStorage.removeItem(TAXONOMY_STORAGE_KEY);
+}
+
+/**
+ * Check a rule's pattern
+ * @returns {string|null} - Error message, or null if the rule is usable
+ */
+function validateRule(rule) {
+    if (!rule.pattern || !rule.pattern.trim()) return 'Empty pattern';
+    if (rule.type !== 'regex') return null;
+
+    try {
+        new RegExp(rule.pattern, 'i');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Turn the taxonomy into matchers, skipping invalid rules
+ */
+function compileTaxonomy() {
+    if (compiledTaxonomy) return compiledTaxonomy;
+
+    const taxonomy = getTaxonomy();
+    compiledTaxonomy = {
+        overrides: taxonomy.overrides,
+        categories: taxonomy.categories.map(cat => {
+            const valid = cat.rules.filter(r => !validateRule(r));
+            return {
+                name: cat.name,
+                tags: valid.filter(r => r.type === 'tag').map(r => normalizeTag(r.pattern)),
+                keywords: valid.filter(r => r.type === 'keyword').map(r => r.pattern.toLowerCase()),
+                regexes: valid.filter(r => r.type === 'regex').map(r => new RegExp(r.pattern, 'i'))
+            };
+        })
+    };
+
+    return compiledTaxonomy;
+}
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function normalizeTag(tag) {
+    return tag.toLowerCase().trim().replace(/\s+/g, '-');
+}
+
+/**
+ * Categorize a market and say how the category was chosen
+ * @param {Object} record - Any record with conditionId and title
+ * @param {Object} markets - Market metadata keyed by conditionId
+ * @returns {Object} - { category, source: 'override' | 'tag' | 'rule' | 'fallback' }
+ */
+function classifyMarket(record, markets) {
+    const compiled = compileTaxonomy();
+    const override = compiled.overrides[record.conditionId];
+    if (override) return { category: override, source: 'override' };
+
+    // Official tags outrank title rules
+    const meta = markets && markets[record.conditionId];
+    if (meta) {
+        const tags = [...(meta.tags || []), meta.legacyCategory].filter(Boolean).map(normalizeTag);
+        const byTag = compiled.categories.find(cat => cat.tags.some(t => tags.includes(t)));
+        if (byTag) return { category: byTag.name, source: 'tag' };
+    }
+
+    const title = (record.title || '').toLowerCase();
+    const byRule = compiled.categories.find(cat =>
+        cat.keywords.some(word => title.includes(word)) ||
+        cat.regexes.some(re => re.test(record.title || '')));
+    if (byRule) return { category: byRule.name, source: 'rule' };
+
+    return { category: FALLBACK_CATEGORY, source: 'fallback' };
+}
+
+/**
+ * Get the category for a market
+ */
+function getMarketCategory(record, markets) {
+    return classifyMarket(record, markets).category;
+}
+
+/**
+ * Category names in priority order, ending with the fallback
+ */
+function getCategoryNames() {
+    const names = getTaxonomy().categories.map(c => c.name);
+    return names.includes(FALLBACK_CATEGORY) ? names : [...names, FALLBACK_CATEGORY];
+}
+
+/**
+ * Settings panel
+ */
+function openTaxonomyModal() {
+    renderTaxonomyEditor();
+    document.getElementById('taxonomy-modal').classList.remove('hidden');
+}
+
+function closeTaxonomyModal() {
+    document.getElementById('taxonomy-modal').classList.add('hidden');
+}
+
+/**
+ * Save an edit and re-run every category stat
+ */
+function applyTaxonomyEdit(taxonomy) {
+    saveTaxonomy(taxonomy);
+    renderTaxonomyEditor();
+    if (typeof refreshStats === 'function') refreshStats();
+}
+
+function renderTaxonomyEditor() {
+    const taxonomy = getTaxonomy();
+    const container = document.getElementById('taxonomy-categories');
+
+    container.innerHTML = taxonomy.categories.map((cat, i) => `
+        <div class="taxonomy-category">
+            <div class="taxonomy-category-header">
+                <input type="text" class="taxonomy-name" value="${escapeAttribute(cat.name)}" maxlength="30"
+                    onchange="renameTaxonomyCategory(${i}, this.value)">
+                <button onclick="moveTaxonomyCategory(${i}, -1)" ${i === 0 ? 'disabled' : ''} title="Higher priority">↑</button>
+                <button onclick="moveTaxonomyCategory(${i}, 1)" ${i === taxonomy.categories.length - 1 ? 'disabled' : ''} title="Lower priority">↓</button>
+                <button onclick="removeTaxonomyCategory(${i})" title="Delete category">✕</button>
+            </div>
+            <div class="taxonomy-rules">
+                ${cat.rules.map((rule, j) => {
+                    const error = validateRule(rule);
+                    return `
+                        <span class="taxonomy-rule rule-${rule.type} ${error ? 'invalid' : ''}" title="${escapeAttribute(error || RULE_TYPES[rule.type])}">
+                            ${RULE_TYPES[rule.type]}: ${escapeHtml(rule.pattern)}
+                            <button onclick="removeTaxonomyRule(${i}, ${j})">✕</button>
+                        </span>
+                    `;
+                }).join('')}
+            </div>
+            <div class="taxonomy-add-rule">
+                <select id="rule-type-${i}">
+                    ${Object.entries(RULE_TYPES).map(([type, label]) => `<option value="${type}" ${type === 'keyword' ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" id="rule-pattern-${i}" placeholder="Pattern" onkeydown="if (event.key === 'Enter') addTaxonomyRule(${i})">
+                <button onclick="addTaxonomyRule(${i})">Add</button>
+            </div>
+        </div>
+    `).join('');
+
+    renderTaxonomyOverrides();
+}
+
+function renderTaxonomyOverrides() {
+    const taxonomy = getTaxonomy();
+    const titles = getTradedMarketTitles();
+    const categories = getCategoryNames();
+
+    document.getElementById('override-market').innerHTML = Object.entries(titles)
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([id, title]) => `<option value="${escapeAttribute(id)}">${escapeHtml(title.length > 60 ? title.substring(0, 60) + '...' : title)}</option>`)
+        .join('');
+    document.getElementById('override-category').innerHTML = categories
+        .map(name => `<option value="${escapeAttribute(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+
+    const overrides = Object.entries(taxonomy.overrides);
+    document.getElementById('taxonomy-overrides').innerHTML = overrides.length > 0
+        ? overrides.map(([id, category]) => `
+            <div class="mini-table-row">
+                <span class="cat">${escapeHtml(titles[id] || id)}</span>
+                <span class="ct">${escapeHtml(category)}</span>
+                <button data-condition-id="${escapeAttribute(id)}" onclick="clearTaxonomyOverride(this.dataset.conditionId)">✕</button>
+            </div>
+        `).join('')
+        : '<p class="no-data">No overrides</p>';
+}
+
+/**
+ * Titles of every market in the loaded wallet, keyed by conditionId
+ */
+function getTradedMarketTitles() {
+    const titles = {};
+    const data = typeof appState !== 'undefined' ? appState.data : null;
+    if (!data) return titles;
+
+    [...data.activity, ...data.closedPositions].forEach(r => {
+        if (r.conditionId && r.title && !titles[r.conditionId]) titles[r.conditionId] = r.title;
+    });
+    return titles;
+}
+
+function addTaxonomyCategory() {
+    const input = document.getElementById('new-category-name');
+    const name = input.value.trim();
+    const taxonomy = getTaxonomy();
+
+    if (!name) return;
+    if (name === FALLBACK_CATEGORY || taxonomy.categories.some(c => c.name === name)) {
+        showToast('Category already exists');
+        return;
+    }
+
+    // New categories start at the top so their rules take effect
+    taxonomy.categories.unshift({ name, rules: [] });
+    input.value = '';
+    applyTaxonomyEdit(taxonomy);
+}
+
+function renameTaxonomyCategory(index, value) {
+    const taxonomy = getTaxonomy();
+    const name = value.trim();
+    const oldName = taxonomy.categories[index].name;
+
+    if (!name || name === oldName) return;
+    if (name === FALLBACK_CATEGORY || taxonomy.categories.some(c => c.name === name)) {
+        showToast('Category already exists');
+        renderTaxonomyEditor();
+        return;
+    }
+
+    taxonomy.categories[index].name = name;
+    Object.keys(taxonomy.overrides).forEach(id => {
+        if (taxonomy.overrides[id] === oldName) taxonomy.overrides[id] = name;
+    });
+    applyTaxonomyEdit(taxonomy);
+}
+
+function moveTaxonomyCategory(index, direction) {
+    const taxonomy = getTaxonomy();
+    const target = index + direction;
+    if (target < 0 || target >= taxonomy.categories.length) return;
+
+    const [cat] = taxonomy.categories.splice(index, 1);
+    taxonomy.categories.splice(target, 0, cat);
+    applyTaxonomyEdit(taxonomy);
+}
+
+function removeTaxonomyCategory(index) {
+    const taxonomy = getTaxonomy();
+    const [removed] = taxonomy.categories.splice(index, 1);
+
+    // Overrides pointing at a deleted category fall back to the rules
+    Object.keys(taxonomy.overrides).forEach(id => {
+        if (taxonomy.overrides[id] === removed.name) delete taxonomy.overrides[id];
+    });
+    applyTaxonomyEdit(taxonomy);
+}
+
+function addTaxonomyRule(index) {
+    const type = document.getElementById(`rule-type-${index}`).value;
+    const pattern = document.getElementById(`rule-pattern-${index}`).value.trim();
+    const rule = { type, pattern };
+
+    const error = validateRule(rule);
+    if (error) {
+        showToast(`Invalid rule: ${error}`);
+        return;
+    }
+
+    const taxonomy = getTaxonomy();
+    taxonomy.categories[index].rules.push(rule);
+    applyTaxonomyEdit(taxonomy);
+}
+
+function removeTaxonomyRule(index, ruleIndex) {
+    const taxonomy = getTaxonomy();
+    taxonomy.categories[index].rules.splice(ruleIndex, 1);
+    applyTaxonomyEdit(taxonomy);
+}
+
+function addTaxonomyOverride() {
+    const conditionId = document.getElementById('override-market').value;
+    const category = document.getElementById('override-category').value;
+    if (!conditionId || !category) return;
+
+    const taxonomy = getTaxonomy();
+    taxonomy.overrides[conditionId] = category;
+    applyTaxonomyEdit(taxonomy);
+}
+
+function clearTaxonomyOverride(conditionId) {
+    const taxonomy = getTaxonomy();
+    delete taxonomy.overrides[conditionId];
+    applyTaxonomyEdit(taxonomy);
+}
+
+function restoreDefaultTaxonomy() {
+    if (!confirm('Reset categories, rules and overrides to the defaults?')) return;
+
+    resetTaxonomy();
+    renderTaxonomyEditor();
+    if (typeof refreshStats === 'function') refreshStats();
+}
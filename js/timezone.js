@@ -0,0 +1,158 @@
+/**
+ * timezone.js - App-wide Timezone
+ *
+ * One timezone drives every date bucket, hour/weekday distribution and
+ * displayed time. Timestamps are unix seconds, like activity records.
+ */
+
+const TIMEZONE_KEY = 'belief_mirror_timezone';
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let currentTimezone = loadTimezone();
+
+// Intl formatters are slow to build, so keep one per timezone
+const zonedFormatters = {};
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Saved timezone, else the browser's, else UTC
+ */
+function loadTimezone() {
+    const saved = localStorage.getItem(TIMEZONE_KEY);
+    if (saved && isValidTimezone(saved)) return saved;
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function getTimezone() {
+    return currentTimezone;
+}
+
+/**
+ * Short display name, e.g. "EST" or "GMT+9"
+ */
+function getTimezoneLabel(timeZone = currentTimezone) {
+    if (timeZone === 'UTC') return 'UTC';
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date())
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+/**
+ * Calendar fields of a timestamp in a timezone
+ * @returns {Object} - { year, month (1-12), day, hour (0-23), minute, weekday (0 = Sunday) }
+ */
+function getZonedParts(timestamp, timeZone = currentTimezone) {
+    if (!zonedFormatters[timeZone]) {
+        zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+    }
+
+    const parts = {};
+    zonedFormatters[timeZone].formatToParts(new Date(timestamp * 1000)).forEach(p => {
+        parts[p.type] = p.value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * 'YYYY-MM-DD' in the timezone
+ */
+function getDateKey(timestamp, timeZone = currentTimezone) {
+    const { year, month, day } = getZonedParts(timestamp, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 'YYYY-MM-DD' of the Sunday starting the timestamp's week
+ */
+function getWeekKey(timestamp, timeZone = currentTimezone) {
+    const { year, month, day, weekday } = getZonedParts(timestamp, timeZone);
+    return new Date(Date.UTC(year, month - 1, day - weekday)).toISOString().split('T')[0];
+}
+
+/**
+ * 'YYYY-MM' in the timezone
+ */
+function getMonthKey(timestamp, timeZone = currentTimezone) {
+    const { year, month } = getZonedParts(timestamp, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Unix seconds of midnight on a calendar date in the timezone
+ */
+function getZonedMidnight(year, month, day, timeZone = currentTimezone) {
+    const guess = Date.UTC(year, month - 1, day) / 1000;
+
+    // Shift by the zone's offset, then once more in case that crossed a DST change
+    const offsetAt = ts => {
+        const p = getZonedParts(ts, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) / 1000 - Math.floor(ts / 60) * 60;
+    };
+    const first = guess - offsetAt(guess);
+    return guess - offsetAt(first);
+}
+
+/**
+ * Format a timestamp for display in the timezone
+ * @param {Object} options - Intl date options (month, day, hour, ...)
+ */
+function formatZonedDate(timestamp, options) {
+    return new Date(timestamp * 1000).toLocaleDateString('en-US', { timeZone: currentTimezone, ...options });
+}
+
+/**
+ * Fill the timezone picker, adding the current zone if it isn't listed
+ */
+function initializeTimezoneSelect() {
+    const select = document.getElementById('timezone-select');
+    if (!select) return;
+
+    if (![...select.options].some(opt => opt.value === currentTimezone)) {
+        const opt = document.createElement('option');
+        opt.value = currentTimezone;
+        opt.textContent = getTimezoneLabel(currentTimezone);
+        select.insertBefore(opt, select.firstChild);
+    }
+    select.value = currentTimezone;
+}
+
+/**
+ * Switch the app-wide timezone and redraw everything that depends on it
+ */
+function changeTimezone(timeZone) {
+    if (!isValidTimezone(timeZone)) return;
+
+    currentTimezone = timeZone;
+    localStorage.setItem(TIMEZONE_KEY, timeZone);
+
+    refreshStats();
+    if (typeof refreshJournalTimes === 'function') refreshJournalTimes();
+
+    showToast(`Times shown in ${getTimezoneLabel()}`);
+}
@@ -0,0 +1,277 @@
+/**
+ * tradestable.js - Activity Table
+ *
+ * Sorting, search and filters over the full activity list, drawn with
+ * virtualized scrolling so only the visible rows are in the DOM. Sort and
+ * filter state live in the URL query so a view can be shared.
+ */
+
+const TRADE_ROW_HEIGHT = 31;
+const TRADE_ROW_OVERSCAN = 10;
+
+const TRADE_FILTER_DEFAULTS = {
+    q: '',
+    side: '',
+    outcome: '',
+    category: '',
+    minPrice: '',
+    maxPrice: '',
+    from: '',
+    to: '',
+    sort: 'date',
+    dir: 'desc'
+};
+
+// How each sortable column reads its value from a row
+const TRADE_SORT_KEYS = {
+    date: row => row.trade.timestamp,
+    market: row => row.title.toLowerCase(),
+    category: row => row.category,
+    side: row => row.side,
+    outcome: row => row.trade.outcome || '',
+    price: row => row.isTrade ? row.trade.price : -1,
+    size: row => row.trade.size || 0,
+    usdc: row => row.trade.usdcSize || 0
+};
+
+const tradesTable = {
+    filters: { ...TRADE_FILTER_DEFAULTS },
+    rows: [],
+    visible: []
+};
+
+/**
+ * Read sort and filter state from the URL query
+ */
+function loadTradeFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(TRADE_FILTER_DEFAULTS).forEach(name => {
+        if (params.has(name)) tradesTable.filters[name] = params.get(name);
+    });
+    if (!TRADE_SORT_KEYS[tradesTable.filters.sort]) tradesTable.filters.sort = TRADE_FILTER_DEFAULTS.sort;
+    if (tradesTable.filters.dir !== 'asc') tradesTable.filters.dir = 'desc';
+}
+
+/**
+ * Write non-default state to the URL, keeping unrelated params
+ */
+function saveTradeFiltersToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(tradesTable.filters).forEach(([name, value]) => {
+        if (value === TRADE_FILTER_DEFAULTS[name]) params.delete(name);
+        else params.set(name, value);
+    });
+
+    const query = params.toString();
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${query ? '?' + query : ''}${hash}`);
+}
+
+/**
+ * Build table rows once per data load, with display fields precomputed
+ */
+function initializeTradesTable(data) {
+    const categories = {};
+
+    tradesTable.rows = data.activity.map(trade => {
+        const isTrade = trade.type === 'TRADE';
+        if (!(trade.conditionId in categories)) {
+            categories[trade.conditionId] = getMarketCategory(trade, data.markets);
+        }
+        return {
+            trade,
+            isTrade,
+            title: trade.title || 'Unknown',
+            category: categories[trade.conditionId],
+            side: isTrade ? (trade.side || 'BUY') : trade.type
+        };
+    });
+
+    renderTradeFilterOptions();
+    applyTradeFilters();
+}
+
+/**
+ * Fill the filter controls from the data and the current state
+ */
+function renderTradeFilterOptions() {
+    const { filters } = tradesTable;
+    const outcomes = [...new Set(tradesTable.rows.map(r => r.trade.outcome).filter(Boolean))].sort();
+    const categories = getCategoryNames().filter(name => tradesTable.rows.some(r => r.category === name));
+    const option = (value, label, selected) =>
+        `<option value="${escapeAttribute(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+    document.getElementById('trades-filter-side').innerHTML = [
+        option('', 'All types', filters.side),
+        option('BUY', 'Buy', filters.side),
+        option('SELL', 'Sell', filters.side),
+        ...Object.entries(ACTIVITY_TYPES)
+            .filter(([type]) => type !== 'TRADE')
+            .map(([type, info]) => option(type, info.label, filters.side))
+    ].join('');
+
+    document.getElementById('trades-filter-outcome').innerHTML = [
+        option('', 'All outcomes', filters.outcome),
+        ...outcomes.map(o => option(o, o, filters.outcome))
+    ].join('');
+
+    document.getElementById('trades-filter-category').innerHTML = [
+        option('', 'All categories', filters.category),
+        ...categories.map(c => option(c, c, filters.category))
+    ].join('');
+
+    document.getElementById('trades-search').value = filters.q;
+    document.getElementById('trades-filter-min-price').value = filters.minPrice;
+    document.getElementById('trades-filter-max-price').value = filters.maxPrice;
+    document.getElementById('trades-filter-from').value = filters.from;
+    document.getElementById('trades-filter-to').value = filters.to;
+}
+
+/**
+ * Check a row against the filters (prices in cents, dates in the app timezone)
+ */
+function matchesTradeFilters(row, filters) {
+    const { trade } = row;
+
+    if (filters.q && !row.title.toLowerCase().includes(filters.q.toLowerCase())) return false;
+    if (filters.side && row.side !== filters.side) return false;
+    if (filters.outcome && trade.outcome !== filters.outcome) return false;
+    if (filters.category && row.category !== filters.category) return false;
+
+    if (filters.minPrice !== '' || filters.maxPrice !== '') {
+        if (!row.isTrade) return false;
+        const cents = trade.price * 100;
+        if (filters.minPrice !== '' && cents < Number(filters.minPrice)) return false;
+        if (filters.maxPrice !== '' && cents > Number(filters.maxPrice)) return false;
+    }
+
+    if (filters.from || filters.to) {
+        const date = getDateKey(trade.timestamp);
+        if (filters.from && date < filters.from) return false;
+        if (filters.to && date > filters.to) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Filter and sort, then redraw from the top
+ */
+function applyTradeFilters() {
+    const { filters } = tradesTable;
+    const readKey = TRADE_SORT_KEYS[filters.sort];
+    const direction = filters.dir === 'asc' ? 1 : -1;
+
+    tradesTable.visible = tradesTable.rows
+        .filter(row => matchesTradeFilters(row, filters))
+        .sort((a, b) => {
+            const va = readKey(a);
+            const vb = readKey(b);
+            if (va < vb) return -direction;
+            if (va > vb) return direction;
+            return b.trade.timestamp - a.trade.timestamp;
+        });
+
+    const total = tradesTable.rows.length;
+    const shown = tradesTable.visible.length;
+    document.getElementById('trades-count').textContent = shown === total ? total : `${shown} / ${total}`;
+
+    document.querySelectorAll('.trades-table th[data-sort]').forEach(th => {
+        const active = th.dataset.sort === filters.sort;
+        th.classList.toggle('sorted', active);
+        th.dataset.dir = active ? filters.dir : '';
+    });
+
+    document.getElementById('trades-table-wrap').scrollTop = 0;
+    renderTrades();
+    saveTradeFiltersToUrl();
+}
+
+/**
+ * Update one filter from its control
+ */
+function setTradeFilter(name, value) {
+    tradesTable.filters[name] = value.trim();
+    applyTradeFilters();
+}
+
+/**
+ * Sort by a column; clicking the sorted column flips the direction
+ */
+function sortTrades(key) {
+    const { filters } = tradesTable;
+    if (filters.sort === key) {
+        filters.dir = filters.dir === 'asc' ? 'desc' : 'asc';
+    } else {
+        filters.sort = key;
+        filters.dir = key === 'market' || key === 'category' || key === 'outcome' || key === 'side' ? 'asc' : 'desc';
+    }
+    applyTradeFilters();
+}
+
+function resetTradeFilters() {
+    tradesTable.filters = { ...TRADE_FILTER_DEFAULTS };
+    renderTradeFilterOptions();
+    applyTradeFilters();
+}
+
+/**
+ * Render the rows in view, with spacer rows standing in for the rest
+ */
+function renderTrades() {
+    const wrap = document.getElementById('trades-table-wrap');
+    const tbody = document.getElementById('trades-tbody');
+    const rows = tradesTable.visible;
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="8" class="no-data">${tradesTable.rows.length > 0 ? 'No activity matches these filters' : 'No activity'}</td></tr>`;
+        return;
+    }
+
+    const start = Math.max(0, Math.floor(wrap.scrollTop / TRADE_ROW_HEIGHT) - TRADE_ROW_OVERSCAN);
+    const count = Math.ceil(wrap.clientHeight / TRADE_ROW_HEIGHT) + TRADE_ROW_OVERSCAN * 2;
+    const end = Math.min(rows.length, start + count);
+
+    const spacer = height => height > 0 ? `<tr class="trades-spacer" style="height:${height}px"><td colspan="8"></td></tr>` : '';
+
+    tbody.innerHTML = spacer(start * TRADE_ROW_HEIGHT)
+        + rows.slice(start, end).map(renderTradeRow).join('')
+        + spacer((rows.length - end) * TRADE_ROW_HEIGHT);
+}
+
+function renderTradeRow(row) {
+    const { trade: t, isTrade, side } = row;
+    const date = formatZonedDate(t.timestamp, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const price = isTrade ? (t.price * 100).toFixed(0) + '¢' : '-';
+    const size = t.size ? t.size.toFixed(2) : '-';
+    const usdc = t.usdcSize?.toFixed(2) || '-';
+    const typeLabel = isTrade ? side : ACTIVITY_TYPES[t.type]?.label || t.type;
+
+    return `
+        <tr class="clickable ${isTrade ? '' : 'activity-' + escapeAttribute(t.type.toLowerCase())}" data-condition-id="${escapeAttribute(t.conditionId)}" data-asset="${escapeAttribute(t.asset || '')}" onclick="openMarketDetail(this.dataset.conditionId, this.dataset.asset)">
+            <td>${date}</td>
+            <td class="market" title="${escapeAttribute(row.title)}">${escapeHtml(row.title)}</td>
+            <td>${escapeHtml(row.category)}</td>
+            <td class="${escapeAttribute(side.toLowerCase())}">${escapeHtml(typeLabel)}</td>
+            <td>${escapeHtml(t.outcome || '-')}</td>
+            <td>${price}</td>
+            <td>${size}</td>
+            <td class="${t.cashFlow > 0 && !isTrade ? 'inflow' : ''}">$${usdc}</td>
+        </tr>
+    `;
+}
+
+// Redraw on scroll, at most once per frame
+let tradesScrollFrame = null;
+
+function onTradesScroll() {
+    if (tradesScrollFrame) return;
+    tradesScrollFrame = requestAnimationFrame(() => {
+        tradesScrollFrame = null;
+        renderTrades();
+    });
+}
+
+loadTradeFiltersFromUrl();
@@ -1,73 +1,92 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { readLimitConfig, createRateLimiter, RATE_LIMIT_HEADERS } = require('./rateLimit');
+const { createProvider, ProviderError } = require('./providers');
+const { INSIGHTS_SCHEMA_PROMPT, parseInsights, buildRepairPrompt } = require('./insightsSchema');
+const { validateStats, validateBiases } = require('./payloadSchema');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const provider = createProvider();
+
+const INSIGHTS_MAX_TOKENS = Number(process.env.INSIGHTS_MAX_TOKENS) || 1500;
+const CHAT_MAX_TOKENS = Number(process.env.CHAT_MAX_TOKENS) || 800;
+// Extra attempts when the model's insights don't match the schema
+const INSIGHTS_MAX_REPAIRS = Number(process.env.INSIGHTS_MAX_REPAIRS ?? 1);
+
+// Request size guards
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || '1mb';
+const MAX_HISTORY_MESSAGES = Number(process.env.MAX_HISTORY_MESSAGES) || 10;
+const MAX_MESSAGE_CHARS = Number(process.env.MAX_MESSAGE_CHARS) || 4000;
+
+const insightsLimiter = createRateLimiter(readLimitConfig('INSIGHTS', { windowMs: 60 * 60 * 1000, maxPerIp: 10, maxPerWallet: 5 }));
+const chatLimiter = createRateLimiter(readLimitConfig('CHAT', { windowMs: 60 * 60 * 1000, maxPerIp: 60, maxPerWallet: 30 }));
 
 app.set('trust proxy', 1);
 
-app.use(express.json({ limit: '1mb' }));
-app.use(cors());
+app.use(express.json({ limit: MAX_BODY_SIZE }));
+app.use(cors({ exposedHeaders: RATE_LIMIT_HEADERS }));
 
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', keyLoaded: !!process.env.ANTHROPIC_API_KEY });
+    res.json({ status: 'ok', provider: provider.name, model: provider.model, keyLoaded: provider.isConfigured() });
 });
 
-app.post('/api/insights', async (req, res) => {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    
-    if (!apiKey) {
-        return res.status(500).json({ error: 'API key not configured' });
-    }
-
-    const { stats } = req.body;
+/**
+ * Build the provider request for insights from the client payload
+ * @returns {Object} - { request } or { status, error } when the payload is invalid
+ */
+function buildInsightsRequest(payload) {
+    const { stats, biases } = payload;
     if (!stats) {
-        return res.status(400).json({ error: 'Missing stats data' });
+        return { status: 400, error: 'Missing stats data' };
     }
 
-    const prompt = buildInsightsPrompt(stats);
+    const errors = [...validateStats(stats), ...validateBiases(biases)];
+    if (errors.length > 0) {
+        return { status: 400, error: `Invalid stats: ${errors.slice(0, 3).join('; ')}` };
+    }
 
-    try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1500,
-                messages: [{ role: 'user', content: prompt }]
-            })
-        });
+    const biasList = Array.isArray(biases) ? biases : [];
 
-        const data = await response.json();
-        
-        if (!response.ok) {
-            console.error('Anthropic error:', data);
-            return res.status(500).json({ error: 'AI service error', details: data.error?.message });
+    return {
+        request: {
+            kind: 'insights',
+            maxTokens: INSIGHTS_MAX_TOKENS,
+            messages: [{ role: 'user', content: buildInsightsPrompt(stats, biasList) }],
+            stats,
+            biases: biasList
         }
+    };
+}
 
-        res.json({ insights: data.content[0].text });
-    } catch (err) {
-        console.error('Fetch error:', err);
-        res.status(500).json({ error: 'Failed to contact AI service' });
+/**
+ * Build the provider request for chat: stats as the system prompt, then recent history
+ * @returns {Object} - { request } or { status, error } when the payload is invalid
+ */
+function buildChatRequest(payload) {
+    const { message, stats, history } = payload;
+    if (!message || !stats) {
+        return { status: 400, error: 'Missing message or stats' };
     }
-});
-
-// Chat endpoint for follow-up questions
-app.post('/api/chat', async (req, res) => {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    
-    if (!apiKey) {
-        return res.status(500).json({ error: 'API key not configured' });
+    if (typeof message !== 'string' || message.length > MAX_MESSAGE_CHARS) {
+        return { status: 400, error: `Message must be under ${MAX_MESSAGE_CHARS} characters` };
     }
-
-    const { message, stats, history } = req.body;
-    if (!message || !stats) {
-        return res.status(400).json({ error: 'Missing message or stats' });
+    const statsErrors = validateStats(stats);
+    if (statsErrors.length > 0) {
+        return { status: 400, error: `Invalid stats: ${statsErrors.slice(0, 3).join('; ')}` };
+    }
+    if (history !== undefined && !Array.isArray(history)) {
+        return { status: 400, error: 'Invalid history' };
+    }
+    if (history && history.length > MAX_HISTORY_MESSAGES) {
+        return { status: 400, error: `History is limited to ${MAX_HISTORY_MESSAGES} messages` };
+    }
+    if (history && history.some(h => !h || typeof h !== 'object' || typeof h.content !== 'string')) {
+        return { status: 400, error: 'Invalid history' };
+    }
+    if (history && history.some(h => h.content.length > MAX_MESSAGE_CHARS)) {
+        return { status: 400, error: `History messages must be under ${MAX_MESSAGE_CHARS} characters` };
     }
 
     // Build system context with user's stats
@@ -91,37 +110,180 @@ app.post('/api/chat', async (req, res) => {
         messages.push({ role: 'user', content: message });
     }
 
+    return {
+        request: {
+            kind: 'chat',
+            maxTokens: CHAT_MAX_TOKENS,
+            system: systemPrompt,
+            messages,
+            stats
+        }
+    };
+}
+
+/**
+ * Run a request builder, turning a payload it can't read into a 400
+ * rather than an unhandled rejection
+ */
+function buildFromPayload(buildRequest, payload) {
+    if (!payload || typeof payload !== 'object') {
+        return { status: 400, error: 'Invalid request' };
+    }
     try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 800,
-                system: systemPrompt,
-                messages: messages
-            })
-        });
+        return buildRequest(payload);
+    } catch (err) {
+        console.warn('Rejected malformed payload:', err.message);
+        return { status: 400, error: 'Invalid request' };
+    }
+}
+
+/**
+ * Parse model output as structured insights, asking the model to repair it
+ * when it doesn't match the schema
+ * @param {Object} options - { signal } aborting the repair requests
+ * @returns {Promise<Object>} - Validated insights
+ */
+async function finalizeInsights(request, text, { signal } = {}) {
+    let attempt = text;
+    let result = parseInsights(attempt);
+    const messages = [...request.messages];
+
+    for (let repair = 0; result.errors && repair < INSIGHTS_MAX_REPAIRS; repair++) {
+        console.warn('Invalid insights, requesting repair:', result.errors.slice(0, 3));
+        messages.push(
+            { role: 'assistant', content: attempt },
+            { role: 'user', content: buildRepairPrompt(result.errors) }
+        );
+        attempt = await provider.complete({ ...request, messages }, { signal });
+        result = parseInsights(attempt);
+    }
 
-        const data = await response.json();
-        
-        if (!response.ok) {
-            console.error('Anthropic error:', data);
-            return res.status(500).json({ error: 'AI service error', details: data.error?.message });
+    if (result.errors) {
+        throw new ProviderError('AI returned malformed insights', result.errors.slice(0, 5).join('; '));
+    }
+    return result.insights;
+}
+
+/**
+ * Route handler that waits for the full response
+ * @param {Function} buildRequest - Payload -> { request } | { status, error }
+ * @param {string} field - Response field carrying the result
+ * @param {Function} finalize - Optional (request, text) -> result, e.g. to parse JSON
+ */
+function completionHandler(buildRequest, field, finalize = null) {
+    return async (req, res) => {
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ error: 'API key not configured' });
         }
 
-        res.json({ response: data.content[0].text });
-    } catch (err) {
-        console.error('Fetch error:', err);
-        res.status(500).json({ error: 'Failed to contact AI service' });
+        const built = buildFromPayload(buildRequest, req.body);
+        if (built.error) {
+            return res.status(built.status).json({ error: built.error });
+        }
+
+        try {
+            const text = await provider.complete(built.request);
+            res.json({ [field]: finalize ? await finalize(built.request, text) : text });
+        } catch (err) {
+            if (err instanceof ProviderError) {
+                return res.status(500).json({ error: err.message, details: err.details });
+            }
+            console.error('Fetch error:', err);
+            res.status(500).json({ error: 'Failed to contact AI service' });
+        }
+    };
+}
+
+/**
+ * Route handler that relays model output as Server-Sent Events
+ *
+ * Emits `delta` events ({ text }) as tokens arrive, a `result` event with
+ * the finalized output when there is a finalize step, then `done`; or
+ * `error` ({ error }) if the stream fails midway. Errors before the first
+ * token are plain JSON responses, as on the non-streaming routes. The
+ * provider request is aborted when the client disconnects.
+ * @param {Function} buildRequest - Payload -> { request } | { status, error }
+ * @param {Function} finalize - Optional (request, text, { signal }) -> result sent as `result`
+ */
+function streamHandler(buildRequest, finalize = null) {
+    return async (req, res) => {
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ error: 'API key not configured' });
+        }
+
+        const built = buildFromPayload(buildRequest, req.body);
+        if (built.error) {
+            return res.status(built.status).json({ error: built.error });
+        }
+
+        const upstream = new AbortController();
+        res.on('close', () => upstream.abort());
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        try {
+            const chunks = provider.stream(built.request, { signal: upstream.signal })[Symbol.asyncIterator]();
+
+            // Wait for the first chunk so early failures can still be JSON errors
+            let next = await chunks.next();
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+
+            let text = '';
+            while (!next.done) {
+                text += next.value;
+                send('delta', { text: next.value });
+                next = await chunks.next();
+            }
+
+            // Providers may end the stream quietly on abort; the text is then
+            // truncated and nobody is listening for a result
+            if (upstream.signal.aborted) return;
+
+            if (finalize) send('result', await finalize(built.request, text, { signal: upstream.signal }));
+
+            send('done', {});
+            res.end();
+        } catch (err) {
+            if (upstream.signal.aborted) return;
+            if (!res.headersSent) {
+                if (err instanceof ProviderError) {
+                    return res.status(500).json({ error: err.message, details: err.details });
+                }
+                console.error('Stream error:', err);
+                return res.status(500).json({ error: 'Failed to contact AI service' });
+            }
+            console.error('Stream error:', err);
+            send('error', { error: err instanceof ProviderError ? err.message : 'AI stream interrupted' });
+            res.end();
+        }
+    };
+}
+
+// Streaming and non-streaming routes share one quota
+app.post('/api/insights', insightsLimiter, completionHandler(buildInsightsRequest, 'insights', finalizeInsights));
+app.post('/api/insights/stream', insightsLimiter, streamHandler(buildInsightsRequest, finalizeInsights));
+
+// Chat endpoint for follow-up questions
+app.post('/api/chat', chatLimiter, completionHandler(buildChatRequest, 'response'));
+app.post('/api/chat/stream', chatLimiter, streamHandler(buildChatRequest));
+
+// Body parser failures (oversized or malformed JSON) as JSON errors
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request too large' });
     }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+    next(err);
 });
 
-function buildInsightsPrompt(stats) {
+function buildInsightsPrompt(stats, biases = []) {
     let categoryPerf = '';
     if (stats.winLossByCategory) {
         categoryPerf = Object.entries(stats.winLossByCategory)
@@ -138,15 +300,47 @@ function buildInsightsPrompt(stats) {
             .join('\n');
     }
 
+    let eventPerf = '';
+    if (stats.eventExposure && stats.eventExposure.length > 0) {
+        eventPerf = stats.eventExposure.slice(0, 5)
+            .map(e => `  - ${e.title}: ${e.markets} related markets, $${e.volume.toFixed(2)} volume, $${e.realizedPnl.toFixed(2)} realized P&L`)
+            .join('\n');
+    }
+
+    let calibration = '';
+    const cal = stats.calibration;
+    if (cal && cal.sampleSize > 0) {
+        const curve = cal.curve
+            .map(b => `  - Paid ${b.label}: ${b.count} entries, avg price ${(b.implied * 100).toFixed(0)}¢, won ${(b.realized * 100).toFixed(0)}%`)
+            .join('\n');
+        calibration = `- Resolved entries: ${cal.sampleSize}
+- Brier score: ${cal.brierScore.toFixed(3)} (0 is perfect, 0.25 is coin-flip)
+- Log loss: ${cal.logLoss.toFixed(3)}
+- Avg implied probability: ${(cal.avgImplied * 100).toFixed(1)}% vs realized ${(cal.realizedRate * 100).toFixed(1)}%
+- Overconfidence (implied - realized): ${(cal.overconfidence * 100).toFixed(1)} pts
+- Calibration error: ${(cal.calibrationError * 100).toFixed(1)} pts
+${curve}`;
+    }
+
+    const biasResults = biases
+        .map(b => {
+            const examples = (b.evidence || [])
+                .map(t => `    e.g. ${t.date} ${t.side} "${t.title}" at ${Math.round(t.price * 100)}¢ ($${Number(t.usdcSize || 0).toFixed(2)})`)
+                .join('\n');
+            return `  - ${b.name}: ${b.score}/100${b.detected ? ' (DETECTED)' : ''} - ${b.explanation}${examples ? '\n' + examples : ''}`;
+        })
+        .join('\n');
+
     return `You are an expert trading coach analyzing a Polymarket trader. Provide personalized insights.
 
-TRADER DATA:
+TRADER DATA:${stats.dataComplete === false ? '\n(WARNING: some history failed to load; these numbers are incomplete, say so in your analysis)' : ''}
 - Total trades: ${stats.totalTrades || 0}
 - Volume: $${(stats.totalVolume || 0).toFixed(2)}
 - Win rate: ${(stats.winRate || 0).toFixed(1)}%
 - Resolved markets: ${stats.totalResolved || 0}
 - Wins/Losses: ${stats.wins || 0}/${stats.losses || 0}
-- Realized P&L: $${(stats.totalRealizedPnL || 0).toFixed(2)}
+- Realized P&L: $${(stats.totalRealizedPnL || 0).toFixed(2)} (incl. $${(stats.totalRewards || 0).toFixed(2)} rewards)
+- Redeemed: $${(stats.totalRedeemed || 0).toFixed(2)} across ${stats.redemptionCount || 0} redemptions
 - Avg win: $${(stats.avgWinAmount || 0).toFixed(2)}
 - Avg loss: $${(stats.avgLossAmount || 0).toFixed(2)}
 - Profit factor: ${stats.profitFactor === Infinity ? 'Infinite' : (stats.profitFactor || 0).toFixed(2)}
@@ -157,13 +351,24 @@ ${categoryPerf || 'No category data'}
 Performance by Price Range:
 ${pricePerf || 'No price range data'}
 
+Events traded across several markets:
+${eventPerf || 'None'}
+
+Calibration (each BUY price treated as an implied probability):
+${calibration || 'No resolved entries'}
+
+Bias detectors (deterministic checks on the trade ledger; 50+ means detected):
+${biasResults || 'Not enough trades to run the detectors'}
+
 Give insights in 4 sections:
-1. **Strengths** - What they do well
-2. **Weaknesses** - Problem patterns  
-3. **Biases Detected** - Cognitive biases affecting decisions
-4. **Recommendations** - 3-5 specific actions
+- strengths: What they do well
+- weaknesses: Problem patterns
+- biases: Cognitive biases affecting decisions (start from the detector results, citing their evidence, and use the calibration numbers to judge over- or under-confidence)
+- recommendations: 3-5 specific actions
+
+Be data-driven, constructive, specific, concise. Cite the numbers above as metrics and the example trades as evidence. This is for education, not financial advice.
 
-Be data-driven, constructive, specific, concise. This is for education, not financial advice.`;
+${INSIGHTS_SCHEMA_PROMPT}`;
 }
 
 function buildChatSystemPrompt(stats) {
@@ -198,5 +403,7 @@ Guidelines:
 
 app.listen(PORT, () => {
     console.log('Server running on port', PORT);
-    console.log('API Key:', process.env.ANTHROPIC_API_KEY ? 'SET' : 'NOT SET');
+    console.log('Provider:', provider.name, provider.model);
+    console.log('API Key:', provider.isConfigured() ? 'SET' : 'NOT SET');
+    if (process.env.ANTHROPIC_BASE_URL) console.log('Upstream:', process.env.ANTHROPIC_BASE_URL);
 });
@@ -0,0 +1,152 @@
+/**
+ * insightsSchema.js - Structured insights format
+ *
+ * The model is asked for JSON in this shape; its output is parsed,
+ * validated and normalized here before it reaches the client:
+ *
+ *   {
+ *     summary: string,
+ *     strengths | weaknesses | biases | recommendations: [{
+ *       title: string,
+ *       detail: string,
+ *       evidence: [string],                      // trades or facts it rests on
+ *       metrics: [{ name: string, value: string }] // numbers it cites
+ *     }]
+ *   }
+ */
+
+const INSIGHT_SECTIONS = ['strengths', 'weaknesses', 'biases', 'recommendations'];
+const MAX_ITEMS_PER_SECTION = 6;
+const MAX_EVIDENCE = 5;
+const MAX_METRICS = 6;
+
+// Shown to the model verbatim
+const INSIGHTS_SCHEMA_PROMPT = `Respond with ONLY a JSON object, no markdown fences or prose, matching:
+{
+  "summary": "one or two sentence overview",
+  "strengths": [Item],
+  "weaknesses": [Item],
+  "biases": [Item],
+  "recommendations": [Item]
+}
+where Item is:
+{
+  "title": "short headline",
+  "detail": "one to three sentences",
+  "evidence": ["specific trades, categories or facts from the data"],
+  "metrics": [{ "name": "metric name as given in the data", "value": "its value, e.g. 54.2% or $120.50" }]
+}
+Each section must have 1-${MAX_ITEMS_PER_SECTION} items. Every item must cite at least one metric.`;
+
+/**
+ * Pull a JSON object out of model output, tolerating code fences and prose around it
+ * @returns {Object|null} - Parsed object, or null if none could be read
+ */
+function extractJson(text) {
+    const attempts = [text];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) attempts.push(fenced[1]);
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) attempts.push(text.slice(start, end + 1));
+
+    for (const attempt of attempts) {
+        try {
+            const parsed = JSON.parse(attempt.trim());
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Check an object against the schema
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validateInsights(insights) {
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!isText(insights.summary)) errors.push('summary must be a non-empty string');
+
+    INSIGHT_SECTIONS.forEach(section => {
+        const items = insights[section];
+        if (!Array.isArray(items) || items.length === 0) {
+            errors.push(`${section} must be a non-empty array`);
+            return;
+        }
+
+        items.forEach((item, i) => {
+            const path = `${section}[${i}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (!isText(item.title)) errors.push(`${path}.title must be a non-empty string`);
+            if (!isText(item.detail)) errors.push(`${path}.detail must be a non-empty string`);
+            if (!Array.isArray(item.evidence) || !item.evidence.every(isText)) {
+                errors.push(`${path}.evidence must be an array of strings`);
+            }
+            if (!Array.isArray(item.metrics) || item.metrics.length === 0) {
+                errors.push(`${path}.metrics must be a non-empty array`);
+            } else if (!item.metrics.every(m => m && isText(m.name) && isText(String(m.value ?? '')))) {
+                errors.push(`${path}.metrics entries need a name and a value`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Trim strings, stringify metric values and cap list lengths
+ */
+function normalizeInsights(insights) {
+    const normalized = { summary: insights.summary.trim() };
+
+    INSIGHT_SECTIONS.forEach(section => {
+        normalized[section] = insights[section].slice(0, MAX_ITEMS_PER_SECTION).map(item => ({
+            title: item.title.trim(),
+            detail: item.detail.trim(),
+            evidence: item.evidence.slice(0, MAX_EVIDENCE).map(e => e.trim()),
+            metrics: item.metrics.slice(0, MAX_METRICS).map(m => ({ name: m.name.trim(), value: String(m.value).trim() }))
+        }));
+    });
+
+    return normalized;
+}
+
+/**
+ * Parse and validate model output
+ * @returns {Object} - { insights } when valid, else { errors }
+ */
+function parseInsights(text) {
+    const parsed = extractJson(text);
+    if (!parsed) return { errors: ['output is not a JSON object'] };
+
+    const errors = validateInsights(parsed);
+    if (errors.length > 0) return { errors };
+
+    return { insights: normalizeInsights(parsed) };
+}
+
+/**
+ * Follow-up message asking the model to fix its previous output
+ */
+function buildRepairPrompt(errors) {
+    return `Your previous reply did not match the required JSON format:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Reply again with the corrected JSON object only.`;
+}
+
+module.exports = {
+    INSIGHT_SECTIONS,
+    INSIGHTS_SCHEMA_PROMPT,
+    parseInsights,
+    buildRepairPrompt
+};
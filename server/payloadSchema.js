@@ -0,0 +1,98 @@
+/**
+ * payloadSchema.js - Shape checks for the stats and biases clients send
+ *
+ * The prompt builders format these numbers directly, so anything they read
+ * is checked here first and a bad payload becomes a 400 rather than a
+ * TypeError. Fields the prompts don't read are left alone.
+ */
+
+const STAT_NUMBERS = [
+    'totalTrades', 'totalVolume', 'winRate', 'totalResolved', 'wins', 'losses',
+    'totalRealizedPnL', 'totalRewards', 'totalRedeemed', 'redemptionCount',
+    'avgWinAmount', 'avgLossAmount', 'profitFactor'
+];
+const GROUP_NUMBERS = ['count', 'winRate', 'totalPnl'];
+const EVENT_NUMBERS = ['markets', 'volume', 'realizedPnl'];
+const CALIBRATION_NUMBERS = ['brierScore', 'logLoss', 'avgImplied', 'realizedRate', 'overconfidence', 'calibrationError'];
+const CURVE_NUMBERS = ['count', 'implied', 'realized'];
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+// Optional numbers may be missing, or null where JSON dropped an Infinity
+const isOptionalNumber = value => value === undefined || value === null || isNumber(value);
+
+/**
+ * Check the stats summary the prompts read
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validateStats(stats) {
+    if (!isObject(stats)) return ['stats must be an object'];
+
+    const errors = [];
+
+    STAT_NUMBERS.forEach(field => {
+        if (!isOptionalNumber(stats[field])) errors.push(`stats.${field} must be a number`);
+    });
+
+    ['winLossByCategory', 'winLossByPriceRange'].forEach(field => {
+        const groups = stats[field];
+        if (groups === undefined || groups === null) return;
+        if (!isObject(groups)) {
+            errors.push(`stats.${field} must be an object`);
+            return;
+        }
+        Object.entries(groups).forEach(([name, group]) => {
+            if (!isObject(group) || !GROUP_NUMBERS.every(n => isNumber(group[n]))) {
+                errors.push(`stats.${field}.${name} needs numeric ${GROUP_NUMBERS.join(', ')}`);
+            }
+        });
+    });
+
+    if (stats.eventExposure !== undefined && stats.eventExposure !== null) {
+        if (!Array.isArray(stats.eventExposure) ||
+            !stats.eventExposure.every(e => isObject(e) && EVENT_NUMBERS.every(n => isNumber(e[n])))) {
+            errors.push(`stats.eventExposure entries need numeric ${EVENT_NUMBERS.join(', ')}`);
+        }
+    }
+
+    const cal = stats.calibration;
+    if (cal !== undefined && cal !== null) {
+        if (!isObject(cal) || !isOptionalNumber(cal.sampleSize)) {
+            errors.push('stats.calibration must be an object with a numeric sampleSize');
+        } else if (cal.sampleSize > 0) {
+            if (!CALIBRATION_NUMBERS.every(n => isNumber(cal[n]))) {
+                errors.push(`stats.calibration needs numeric ${CALIBRATION_NUMBERS.join(', ')}`);
+            }
+            if (!Array.isArray(cal.curve) || !cal.curve.every(b => isObject(b) && CURVE_NUMBERS.every(n => isNumber(b[n])))) {
+                errors.push(`stats.calibration.curve entries need numeric ${CURVE_NUMBERS.join(', ')}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check the bias detector results sent with an insights request
+ * @returns {Array} - Error messages, empty when valid
+ */
+function validateBiases(biases) {
+    if (biases === undefined || biases === null) return [];
+    if (!Array.isArray(biases)) return ['biases must be an array'];
+
+    const errors = [];
+    biases.forEach((b, i) => {
+        if (!isObject(b)) {
+            errors.push(`biases[${i}] must be an object`);
+            return;
+        }
+        if (!isOptionalNumber(b.score)) errors.push(`biases[${i}].score must be a number`);
+        if (b.evidence !== undefined && (!Array.isArray(b.evidence) || !b.evidence.every(isObject))) {
+            errors.push(`biases[${i}].evidence must be an array of trades`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = { validateStats, validateBiases };
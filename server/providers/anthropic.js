@@ -0,0 +1,90 @@
+/**
+ * anthropic.js - Anthropic Messages API provider
+ */
+
+const { ProviderError } = require('./errors');
+
+/**
+ * @param {Object} config - { apiKey, baseUrl, model, version }
+ */
+function createAnthropicProvider(config) {
+    const send = (request, stream, signal) => fetch(`${config.baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': config.version
+        },
+        body: JSON.stringify({
+            model: config.model,
+            max_tokens: request.maxTokens,
+            ...(request.system ? { system: request.system } : {}),
+            messages: request.messages,
+            ...(stream ? { stream: true } : {})
+        }),
+        signal
+    });
+
+    const checkResponse = async response => {
+        if (response.ok) return;
+        const data = await response.json().catch(() => ({}));
+        console.error('Anthropic error:', data);
+        throw new ProviderError('AI service error', data.error?.message);
+    };
+
+    return {
+        name: 'anthropic',
+        model: config.model,
+
+        isConfigured() {
+            return !!config.apiKey;
+        },
+
+        async complete(request, { signal } = {}) {
+            const response = await send(request, false, signal);
+            await checkResponse(response);
+            const data = await response.json();
+            return data.content[0].text;
+        },
+
+        async *stream(request, { signal } = {}) {
+            const response = await send(request, true, signal);
+            await checkResponse(response);
+
+            for await (const event of readServerSentEvents(response.body)) {
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    yield event.delta.text;
+                } else if (event.type === 'error') {
+                    throw new ProviderError(event.error?.message || 'AI service error');
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Parse an SSE byte stream into the JSON payloads of its data lines
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = frame
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            if (data) yield JSON.parse(data);
+        }
+    }
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,16 @@
+/**
+ * errors.js - Errors shared by LLM providers
+ */
+
+/**
+ * Failure reported by (or while reaching) an LLM provider
+ */
+class ProviderError extends Error {
+    constructor(message, details = null) {
+        super(message);
+        this.name = 'ProviderError';
+        this.details = details;
+    }
+}
+
+module.exports = { ProviderError };
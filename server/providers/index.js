@@ -0,0 +1,42 @@
+/**
+ * index.js - LLM provider selection
+ *
+ * Every provider exposes the same interface:
+ *   name, model
+ *   isConfigured() - whether it can serve requests (e.g. has an API key)
+ *   complete(request, { signal }) - Promise of the full text
+ *   stream(request, { signal }) - async iterable of text chunks
+ *
+ * A request is { kind: 'insights' | 'chat', system, messages, maxTokens,
+ * stats, biases }; providers ignore the fields they don't need. Failures are
+ * thrown as ProviderError.
+ */
+
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./errors');
+
+const PROVIDERS = {
+    anthropic: env => createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        baseUrl: (env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, ''),
+        model: env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+        version: env.ANTHROPIC_VERSION || '2023-06-01'
+    }),
+    mock: env => createMockProvider({
+        streamDelayMs: Number(env.MOCK_STREAM_DELAY_MS) || 0
+    })
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER (default: anthropic)
+ */
+function createProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+    }
+    return PROVIDERS[name](env);
+}
+
+module.exports = { createProvider, ProviderError };
@@ -0,0 +1,140 @@
+/**
+ * mock.js - Deterministic offline provider
+ *
+ * Builds canned answers from the trader's stats so the app runs with no
+ * network and no API key. The same request always yields the same text.
+ */
+
+/**
+ * @param {Object} config - { streamDelayMs } pause between streamed words
+ */
+function createMockProvider(config = {}) {
+    const delay = config.streamDelayMs || 0;
+
+    return {
+        name: 'mock',
+        model: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async complete(request) {
+            return buildMockText(request);
+        },
+
+        async *stream(request, { signal } = {}) {
+            for (const word of buildMockText(request).match(/\S+\s*/g)) {
+                if (signal?.aborted) return;
+                yield word;
+                if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    };
+}
+
+function buildMockText(request) {
+    return request.kind === 'chat'
+        ? buildMockChatReply(request.stats, request.messages[request.messages.length - 1].content)
+        : buildMockInsights(request.stats, request.biases);
+}
+
+/**
+ * Best and worst categories by P&L among those with resolved markets
+ */
+function rankCategories(stats) {
+    const ranked = Object.entries(stats.winLossByCategory || {})
+        .filter(([_, d]) => d.count > 0)
+        .sort((a, b) => b[1].totalPnl - a[1].totalPnl)
+        .map(([name, d]) => ({ name, ...d }));
+
+    return { best: ranked[0] || null, worst: ranked.length > 1 ? ranked[ranked.length - 1] : null };
+}
+
+function formatCategory(c) {
+    return `${c.name} (${c.winRate.toFixed(1)}% win rate, $${c.totalPnl.toFixed(2)} P&L)`;
+}
+
+/**
+ * Insights in the structured JSON format the server validates
+ */
+function buildMockInsights(stats, biases = []) {
+    const { best, worst } = rankCategories(stats);
+    const winRate = `${(stats.winRate || 0).toFixed(1)}%`;
+    const profitFactor = stats.profitFactor === Infinity ? 'Infinite' : (stats.profitFactor || 0).toFixed(2);
+    const detected = biases.filter(b => b.detected);
+    const categoryMetrics = c => [
+        { name: `${c.name} win rate`, value: `${c.winRate.toFixed(1)}%` },
+        { name: `${c.name} P&L`, value: `$${c.totalPnl.toFixed(2)}` }
+    ];
+
+    const insights = {
+        summary: `Mock analysis of ${stats.totalTrades || 0} trades with a ${winRate} win rate, generated offline from your stats.`,
+        strengths: [{
+            title: best ? `Edge in ${best.name}` : 'Profitable trade selection',
+            detail: best
+                ? `Your best category is ${formatCategory(best)}.`
+                : `You win ${winRate} of resolved markets with a profit factor of ${profitFactor}.`,
+            evidence: best ? [`${best.count} resolved ${best.name} markets`] : [],
+            metrics: best ? categoryMetrics(best) : [{ name: 'Win rate', value: winRate }, { name: 'Profit factor', value: profitFactor }]
+        }],
+        weaknesses: [{
+            title: worst ? `Losses in ${worst.name}` : 'Loss size',
+            detail: worst
+                ? `${formatCategory(worst)} is costing you the most.`
+                : `Your average loss is $${(stats.avgLossAmount || 0).toFixed(2)} against an average win of $${(stats.avgWinAmount || 0).toFixed(2)}.`,
+            evidence: worst ? [`${worst.count} resolved ${worst.name} markets`] : [],
+            metrics: worst ? categoryMetrics(worst) : [
+                { name: 'Avg loss', value: `$${(stats.avgLossAmount || 0).toFixed(2)}` },
+                { name: 'Avg win', value: `$${(stats.avgWinAmount || 0).toFixed(2)}` }
+            ]
+        }],
+        biases: detected.length > 0
+            ? detected.map(b => ({
+                title: b.name,
+                detail: b.explanation || `${b.name} was flagged by the detectors.`,
+                evidence: (b.evidence || []).map(t => `${t.date} ${t.side} "${t.title}"`),
+                metrics: [{ name: `${b.name} score`, value: `${b.score}/100` }]
+            }))
+            : [{
+                title: 'No strong biases detected',
+                detail: 'None of the detectors crossed their threshold.',
+                evidence: [],
+                metrics: [{ name: 'Detectors run', value: String(biases.length) }]
+            }],
+        recommendations: [
+            {
+                title: best ? `Concentrate on ${best.name}` : 'Build a larger sample',
+                detail: best ? `${best.name} is where your edge is clearest.` : 'Resolve more markets before drawing conclusions.',
+                evidence: [],
+                metrics: best ? categoryMetrics(best).slice(0, 1) : [{ name: 'Resolved markets', value: String(stats.totalResolved || 0) }]
+            },
+            {
+                title: 'Journal every entry',
+                detail: 'Write down the reason for each entry and review it when the market resolves.',
+                evidence: [],
+                metrics: [{ name: 'Total trades', value: String(stats.totalTrades || 0) }]
+            }
+        ]
+    };
+
+    return JSON.stringify(insights, null, 2);
+}
+
+function buildMockChatReply(stats, message) {
+    const { best, worst } = rankCategories(stats);
+    const question = String(message).toLowerCase();
+
+    if (question.includes('categor') && best) {
+        return `Focus on ${formatCategory(best)}.${worst ? ` Be more selective in ${worst.name}.` : ''} (Mock response.)`;
+    }
+    if (question.includes('bias')) {
+        return `Compare your entry prices with your realized win rate of ${(stats.winRate || 0).toFixed(1)}%; a gap between the two points to over- or under-confidence. (Mock response.)`;
+    }
+    if (question.includes('improve') || question.includes('win rate')) {
+        return `Your win rate is ${(stats.winRate || 0).toFixed(1)}% over ${stats.totalResolved || 0} resolved markets.${worst ? ` Cutting back on ${worst.name} is the quickest lever.` : ''} (Mock response.)`;
+    }
+    return `You've made ${stats.totalTrades || 0} trades with $${(stats.totalRealizedPnL || 0).toFixed(2)} realized P&L. Ask about categories, biases or your win rate for specifics. (Mock response.)`;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,113 @@
+/**
+ * rateLimit.js - Per-IP and per-wallet rate limits for the AI endpoints
+ *
+ * Fixed-window counters kept in memory. A request is refused with 429 and
+ * Retry-After when either its IP or its wallet is out of quota; otherwise
+ * both are charged. The tighter of the two quotas is reported in
+ * X-RateLimit-* headers.
+ *
+ * The wallet comes from the request body, which the client controls, so the
+ * wallet limit is a courtesy limit that keeps one wallet's analyses fair,
+ * not a security boundary; the IP limit is the one that holds. Requests
+ * without a valid wallet share a single anonymous bucket rather than
+ * skipping the wallet limit.
+ */
+
+const WALLET_PATTERN = /^0x[0-9a-f]{40}$/;
+
+/**
+ * Read a limiter's settings from the environment, e.g. INSIGHTS_RATE_WINDOW_MS
+ * @param {string} prefix - Env var prefix, e.g. 'INSIGHTS'
+ * @param {Object} defaults - { windowMs, maxPerIp, maxPerWallet }
+ */
+function readLimitConfig(prefix, defaults) {
+    const read = (name, fallback) => {
+        const value = Number(process.env[`${prefix}_RATE_${name}`]);
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+
+    return {
+        windowMs: read('WINDOW_MS', defaults.windowMs),
+        maxPerIp: read('MAX_PER_IP', defaults.maxPerIp),
+        maxPerWallet: read('MAX_PER_WALLET', defaults.maxPerWallet)
+    };
+}
+
+const ANONYMOUS_WALLET = 'anonymous';
+
+/**
+ * Wallet address from the request body, lowercased, or ANONYMOUS_WALLET if missing/invalid
+ */
+function getRequestWallet(req) {
+    const wallet = typeof req.body?.wallet === 'string' ? req.body.wallet.trim().toLowerCase() : '';
+    return WALLET_PATTERN.test(wallet) ? wallet : ANONYMOUS_WALLET;
+}
+
+/**
+ * Express middleware limiting requests per IP and per wallet
+ * @param {Object} config - { windowMs, maxPerIp, maxPerWallet }
+ */
+function createRateLimiter({ windowMs, maxPerIp, maxPerWallet }) {
+    // key -> { count, resetAt }
+    const windows = new Map();
+
+    const getWindow = (key, now) => {
+        let bucket = windows.get(key);
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + windowMs };
+            windows.set(key, bucket);
+        }
+        return bucket;
+    };
+
+    // Drop expired windows so idle clients don't accumulate
+    setInterval(() => {
+        const now = Date.now();
+        windows.forEach((bucket, key) => {
+            if (bucket.resetAt <= now) windows.delete(key);
+        });
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const wallet = getRequestWallet(req);
+
+        const quotas = [
+            { window: getWindow(`ip:${req.ip}`, now), max: maxPerIp },
+            { window: getWindow(`wallet:${wallet}`, now), max: maxPerWallet }
+        ];
+
+        const blocked = quotas.filter(q => q.window.count >= q.max);
+        if (blocked.length > 0) {
+            const resetAt = Math.max(...blocked.map(q => q.window.resetAt));
+            const retryAfter = Math.ceil((resetAt - now) / 1000);
+            setQuotaHeaders(res, quotas, now);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many requests', retryAfter });
+        }
+
+        quotas.forEach(q => q.window.count++);
+        setQuotaHeaders(res, quotas, now);
+        next();
+    };
+}
+
+/**
+ * Report whichever quota has the fewest requests left
+ */
+function setQuotaHeaders(res, quotas, now) {
+    const tightest = quotas.reduce((min, q) =>
+        q.max - q.window.count < min.max - min.window.count ? q : min);
+
+    res.set({
+        'X-RateLimit-Limit': String(tightest.max),
+        'X-RateLimit-Remaining': String(Math.max(0, tightest.max - tightest.window.count)),
+        'X-RateLimit-Reset': String(Math.ceil((tightest.window.resetAt - now) / 1000))
+    });
+}
+
+module.exports = {
+    readLimitConfig,
+    createRateLimiter,
+    RATE_LIMIT_HEADERS: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After']
+};
@@ -0,0 +1,94 @@
+/**
+ * stub.js - Local stand-in for the Anthropic messages API
+ *
+ * Answers POST /v1/messages with canned text, streamed word by word when the
+ * request sets `stream: true`, so the app can be run without network access:
+ *
+ *   npm run stub
+ *   ANTHROPIC_BASE_URL=http://localhost:3001 ANTHROPIC_API_KEY=stub npm start
+ */
+
+const express = require('express');
+
+const app = express();
+const PORT = process.env.STUB_PORT || 3001;
+const WORD_DELAY_MS = Number(process.env.STUB_WORD_DELAY_MS) || 40;
+
+// Insights in the structured JSON format the server validates
+const INSIGHTS_TEXT = JSON.stringify({
+    summary: 'Stub analysis from the local test upstream.',
+    strengths: [{
+        title: 'Consistent sizing',
+        detail: 'You size positions consistently and rarely chase prices above 80¢.',
+        evidence: ['Most entries fall between 30¢ and 70¢'],
+        metrics: [{ name: 'Win rate', value: '55.0%' }]
+    }],
+    weaknesses: [{
+        title: 'Late-evening entries',
+        detail: 'Losses cluster in markets you entered late in the evening.',
+        evidence: [],
+        metrics: [{ name: 'Evening win rate', value: '38.0%' }]
+    }],
+    biases: [{
+        title: 'Longshot overconfidence',
+        detail: 'The detector results point to mild overconfidence on long shots.',
+        evidence: [],
+        metrics: [{ name: 'Overconfidence', value: '6.0 pts' }]
+    }],
+    recommendations: [{
+        title: 'Cap event exposure',
+        detail: 'Cap exposure to any single event at 20% of your portfolio.',
+        evidence: [],
+        metrics: [{ name: 'Largest event share', value: '34%' }]
+    }]
+}, null, 2);
+
+const CHAT_TEXT = 'Based on your stats, your strongest edge is in the categories with the highest win rate. Focus there and keep position sizes steady. (Stub response.)';
+
+app.use(express.json({ limit: '1mb' }));
+
+app.post('/v1/messages', async (req, res) => {
+    const { model, stream, system } = req.body;
+    // Chat requests carry a system prompt; insights requests don't
+    const text = system ? CHAT_TEXT : INSIGHTS_TEXT;
+
+    if (!stream) {
+        return res.json({
+            id: 'msg_stub',
+            type: 'message',
+            role: 'assistant',
+            model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn'
+        });
+    }
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    send('message_start', { message: { id: 'msg_stub', type: 'message', role: 'assistant', model, content: [] } });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+
+    for (const word of text.match(/\S+\s*/g)) {
+        if (closed) return;
+        send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: word } });
+        await new Promise(resolve => setTimeout(resolve, WORD_DELAY_MS));
+    }
+
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn' } });
+    send('message_stop', {});
+    res.end();
+});
+
+app.listen(PORT, () => {
+    console.log('Stub upstream running on port', PORT);
+});